@@ -0,0 +1,114 @@
+/**
+ * Hit Dice Healing - Public API
+ * Available as game.modules.get('hit-dice-healing').api and globalThis.HitDiceHealing
+ */
+
+import { HOOKS } from './constants.js';
+import { HitDiceManager } from './hit-dice-manager.js';
+import { HitDiceModal } from './hit-dice-modal.js';
+import { MigrationManager } from './migrations.js';
+import { PartyRestDashboard } from './party-rest-dashboard.js';
+import { RestManager } from './rest-manager.js';
+import { RestStepManager } from './rest-steps.js';
+
+export const api = {
+  /**
+   * Open the Hit Dice modal for an actor
+   * @param {Actor} actor - The actor (defaults to selected token's actor)
+   */
+  open: (actor) => {
+    if (!actor) {
+      const token = canvas.tokens.controlled[0];
+      actor = token?.actor;
+    }
+    if (!actor || actor.type !== 'character') {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.SelectCharacter'));
+      return;
+    }
+    HitDiceModal.open(actor);
+  },
+
+  /**
+   * Get Hit Dice info for an actor
+   * @param {Actor} actor - The actor
+   * @returns {Object} Hit Dice info
+   */
+  getInfo: (actor) => {
+    return {
+      current: HitDiceManager.getCurrentHitDice(actor),
+      max: HitDiceManager.getMaxHitDice(actor),
+      pool: HitDiceManager.getCurrentPool(actor),
+      maxPool: HitDiceManager.getMaxPool(actor),
+      dieType: HitDiceManager.getDieType(actor),
+      bonusAttribute: HitDiceManager.getBonusAttribute(),
+      bonusMod: HitDiceManager.getBonusModifier(actor)
+    };
+  },
+
+  /**
+   * Replenish Hit Dice for an actor (GM only)
+   * @param {Actor} actor - The actor
+   */
+  replenish: async (actor) => {
+    if (!game.user.isGM) {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.GMOnly'));
+      return;
+    }
+    const result = await HitDiceManager.replenishHitDice(actor, 'gmReplenish');
+    ui.notifications.info(game.i18n.format('HIT_DICE_HEALING.Replenished', {
+      name: actor.name,
+      count: result.replenished,
+      current: result.total,
+      max: result.total
+    }));
+  },
+
+  /**
+   * Open the rest dialog for an actor
+   * @param {Actor} actor - The actor (defaults to selected token's actor)
+   */
+  rest: (actor) => {
+    if (!actor) {
+      const token = canvas.tokens.controlled[0];
+      actor = token?.actor;
+    }
+    if (!actor || actor.type !== 'character') {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.SelectCharacter'));
+      return;
+    }
+    RestManager.showRestDialog(actor);
+  },
+
+  /**
+   * Open the party rest dashboard (GM only)
+   */
+  dashboard: () => {
+    if (!game.user.isGM) {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.GMOnlyDashboard'));
+      return;
+    }
+    PartyRestDashboard.open();
+  },
+
+  /**
+   * Register a rest step (e.g. a house rule "Long Rest also reduces clumsy")
+   * @param {Object} step - The step definition (see rest-steps.js)
+   * @returns {string} The step ID
+   */
+  registerRestStep: (step) => RestStepManager.register(step),
+
+  /**
+   * Re-run the data migration for world actors and unlocked compendia (active GM only).
+   * Safe to repeat: actors already at the current schema are left unchanged.
+   */
+  migrate: () => MigrationManager.migrateWorld({ force: true }),
+
+  // Expose managers for advanced use
+  manager: HitDiceManager,
+  restManager: RestManager,
+  restSteps: RestStepManager,
+  migrations: MigrationManager,
+
+  // Hook event names (see constants.js)
+  hooks: HOOKS
+};
@@ -0,0 +1,173 @@
+/**
+ * Hit Dice Healing - Chat Commands
+ * Parses /hd and /rest from the chat input (via the chatMessage hook):
+ *   /hd [n]              Roll n Hit Dice (default 1) for your character
+ *   /hd info             Show your character's Hit Dice
+ *   /hd set <actor> <n>  Set an actor's current Hit Dice (GM only)
+ *   /rest [short|long|full]  Take a rest (no argument opens the rest dialog)
+ * Mistakes are answered with a whisper to the sender instead of being posted.
+ */
+
+import { api } from './api.js';
+import { HitDiceManager } from './hit-dice-manager.js';
+import { RestManager } from './rest-manager.js';
+
+export class ChatCommands {
+
+  /**
+   * Handle a chat message before Foundry parses it
+   * @param {string} message - The raw chat input
+   * @returns {boolean|void} False if the message was a Hit Dice command
+   */
+  static handle(message) {
+    const [command, ...args] = message.trim().split(/\s+/);
+    switch (command.toLowerCase()) {
+      case '/hd':
+        this.#onHitDice(args).catch(err => this.#onError(command, err));
+        return false;
+      case '/rest':
+        this.#onRest(args).catch(err => this.#onError(command, err));
+        return false;
+    }
+  }
+
+  /**
+   * Log a failed command and tell the sender
+   * @param {string} command - The command that failed
+   * @param {Error} err - The error
+   */
+  static #onError(command, err) {
+    console.error(`Hit Dice Healing | Chat command ${command} failed`, err);
+    this.#whisper('CommandFailed', { command });
+  }
+
+  /**
+   * Handle /hd [n], /hd info and /hd set <actor> <n>
+   * @param {string[]} args - Command arguments
+   */
+  static async #onHitDice(args) {
+    const sub = args[0]?.toLowerCase();
+    if (sub === 'set') return this.#onSet(args.slice(1));
+
+    const actor = this.#getActor();
+    if (!actor) return;
+
+    if (sub === 'info') return this.#whisperInfo(actor);
+
+    const count = args.length ? Number(args[0]) : 1;
+    if (args.length > 1 || !Number.isInteger(count) || count < 1) {
+      return this.#whisper('CommandUsageHitDice');
+    }
+
+    const current = HitDiceManager.getCurrentHitDice(actor);
+    if (count > current) {
+      return this.#whisper('CommandNotEnoughDice', { name: actor.name, count, current });
+    }
+    await HitDiceManager.rollAndHeal(actor, count);
+  }
+
+  /**
+   * Handle /hd set <actor> <n> (GM only). The actor may be a name with spaces or an ID.
+   * @param {string[]} args - Arguments after "set"
+   */
+  static async #onSet(args) {
+    if (!game.user.isGM) return this.#whisper('CommandGMOnly');
+
+    const value = Number(args.at(-1));
+    const target = args.slice(0, -1).join(' ');
+    if (args.length < 2 || !Number.isInteger(value) || value < 0) {
+      return this.#whisper('CommandUsageSet');
+    }
+
+    const actor = game.actors.get(target) ?? game.actors.getName(target);
+    if (actor?.type !== 'character') {
+      return this.#whisper('CommandActorNotFound', { name: target });
+    }
+
+    const max = HitDiceManager.getMaxHitDice(actor);
+    if (value > max) {
+      return this.#whisper('CommandAboveMaximum', { name: actor.name, value, max });
+    }
+
+    await HitDiceManager.setCurrentHitDice(actor, value, 'manual');
+    this.#whisper('CommandSetDone', { name: actor.name, value, max });
+  }
+
+  /**
+   * Handle /rest [short|long|full]
+   * @param {string[]} args - Command arguments
+   */
+  static async #onRest(args) {
+    const restType = args[0]?.toLowerCase();
+    if (args.length > 1 || (restType && !['short', 'long', 'full'].includes(restType))) {
+      return this.#whisper('CommandUsageRest');
+    }
+
+    const actor = this.#getActor();
+    if (!actor) return;
+
+    // performRest asks the GM first when rests need approval
+    if (restType) return RestManager.performRest(actor, restType);
+    return RestManager.showRestDialog(actor);
+  }
+
+  /**
+   * Get the character a command applies to: the controlled token's actor, else the user's character
+   * @returns {Actor|null} The actor, or null (after whispering why)
+   */
+  static #getActor() {
+    const actor = canvas.tokens?.controlled[0]?.actor ?? game.user.character;
+    if (!actor || actor.type !== 'character') {
+      this.#whisper('SelectCharacter');
+      return null;
+    }
+    if (!actor.isOwner) {
+      this.#whisper('CommandNotOwner', { name: actor.name });
+      return null;
+    }
+    return actor;
+  }
+
+  /**
+   * Whisper an actor's Hit Dice to the sender
+   * @param {Actor} actor - The PF2E character actor
+   */
+  static #whisperInfo(actor) {
+    const info = api.getInfo(actor);
+    const bonus = HitDiceManager.formatModifiers(HitDiceManager.getBonusBreakdown(actor));
+    const lines = [
+      game.i18n.format('HIT_DICE_HEALING.CommandInfo', {
+        name: actor.name,
+        current: info.current,
+        max: info.max,
+        pool: HitDiceManager.formatPool(info.pool)
+      })
+    ];
+    if (bonus) lines.push(`${game.i18n.localize('HIT_DICE_HEALING.PerDieBonus')}: ${bonus}`);
+    return this.#whisperContent(lines);
+  }
+
+  /**
+   * Whisper a localized message to the sender
+   * @param {string} key - Key under HIT_DICE_HEALING
+   * @param {Object} [data] - Format data
+   */
+  static #whisper(key, data) {
+    const text = data
+      ? game.i18n.format(`HIT_DICE_HEALING.${key}`, data)
+      : game.i18n.localize(`HIT_DICE_HEALING.${key}`);
+    return this.#whisperContent([text]);
+  }
+
+  /**
+   * Whisper text lines to the sender
+   * @param {string[]} lines - Plain text lines
+   */
+  static #whisperContent(lines) {
+    return ChatMessage.create({
+      speaker: { alias: game.i18n.localize('HIT_DICE_HEALING.HitDice') },
+      content: lines.map(line => `<p>${foundry.utils.escapeHTML(line)}</p>`).join(''),
+      whisper: [game.user.id]
+    });
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Hit Dice Healing - Class Die Configuration
+ * ApplicationV2 form where the GM edits the class slug → die type table
+ */
+
+import { MODULE_ID } from './constants.js';
+import { HitDiceManager } from './hit-dice-manager.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class ClassDieTypesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: 'hit-dice-class-die-config',
+    classes: ['hit-dice-healing', 'hit-dice-config'],
+    tag: 'form',
+    window: {
+      title: 'HIT_DICE_HEALING.ClassDieConfigName',
+      icon: 'fas fa-dice-d10',
+      resizable: true
+    },
+    position: {
+      width: 420,
+      height: 600
+    },
+    form: {
+      handler: ClassDieTypesConfig.#onSubmit,
+      closeOnSubmit: true
+    },
+    actions: {
+      addRow: ClassDieTypesConfig.#onAddRow,
+      removeRow: ClassDieTypesConfig.#onRemoveRow,
+      reset: ClassDieTypesConfig.#onReset
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/hit-dice-healing/templates/class-die-config.hbs'
+    }
+  };
+
+  constructor(options) {
+    super(options);
+    // Working copy of the table, so added/removed rows survive re-renders
+    this._rows = Object.entries(HitDiceManager.getClassDieTypes())
+      .map(([slug, die]) => ({ slug, die }))
+      .sort((a, b) => a.slug.localeCompare(b.slug));
+  }
+
+  /**
+   * Prepare context data for the template
+   */
+  async _prepareContext() {
+    const dieChoices = Object.fromEntries(HitDiceManager.DIE_SIZES.map(size => [size, `d${size}`]));
+    return {
+      rows: this._rows,
+      dieChoices
+    };
+  }
+
+  /**
+   * Read the current rows back from the form, keeping unsaved edits
+   * @returns {Array<{slug: string, die: number}>}
+   */
+  #readRows() {
+    const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+    return Object.values(data.rows ?? {}).map(row => ({
+      slug: String(row.slug ?? '').trim().toLowerCase(),
+      die: Number(row.die)
+    }));
+  }
+
+  /**
+   * Handle add row button click
+   */
+  static #onAddRow(event, target) {
+    this._rows = this.#readRows();
+    this._rows.push({ slug: '', die: 8 });
+    this.render();
+  }
+
+  /**
+   * Handle remove row button click
+   */
+  static #onRemoveRow(event, target) {
+    const index = parseInt(target.dataset.index, 10);
+    this._rows = this.#readRows();
+    this._rows.splice(index, 1);
+    this.render();
+  }
+
+  /**
+   * Restore the built-in class table
+   */
+  static #onReset(event, target) {
+    this._rows = Object.entries(HitDiceManager.CLASS_DIE_TYPES).map(([slug, die]) => ({ slug, die }));
+    this.render();
+  }
+
+  /**
+   * Handle form submission
+   */
+  static async #onSubmit(event, form, formData) {
+    const table = {};
+    for (const { slug, die } of this.#readRows()) {
+      if (slug && HitDiceManager.DIE_SIZES.includes(die)) {
+        table[slug] = die;
+      }
+    }
+    await game.settings.set(MODULE_ID, 'classDieTypes', table);
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Hit Dice Healing - Constants
+ * Shared identifiers used across the module
+ */
+
+export const MODULE_ID = 'hit-dice-healing';
+
+/**
+ * Version of the actor flag schema (see migrations.js)
+ */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Hook events fired by the module.
+ * The "pre" hooks are called with Hooks.call: a listener returning false cancels
+ * the action, and listeners may modify the data object they receive.
+ * The other hooks are informational and fire after the action completed.
+ */
+export const HOOKS = {
+  // (actor, { dice, bonusMod, rerollOnes, formula }) before Hit Dice are rolled
+  preRoll: 'hitDiceHealing.preRoll',
+  // (actor, { roll, healing }) before the rolled healing is applied
+  preHeal: 'hitDiceHealing.preHeal',
+  // (actor, { roll, healing, spent, remaining })
+  roll: 'hitDiceHealing.roll',
+  // (actor, { entryId, slotLevel, spellIndex, cost }) before Hit Dice are spent on a spellslot;
+  // spellIndex is the expended prepared spell's index, or null for spontaneous slots
+  preRestoreSlot: 'hitDiceHealing.preRestoreSlot',
+  // (actor, { entryId, slotLevel, spellIndex, cost })
+  restoreSlot: 'hitDiceHealing.restoreSlot',
+  // (actor, { resource: 'focus'|'wand'|'staff', id, cost }) before Hit Dice are spent on a resource
+  preRecoverResource: 'hitDiceHealing.preRecoverResource',
+  // (actor, { resource, id, cost })
+  recoverResource: 'hitDiceHealing.recoverResource',
+  // (actor, { restType, steps }) before a rest; steps are the rest step definitions to apply
+  preRest: 'hitDiceHealing.preRest',
+  // (actor, { restType, messages, interrupted })
+  rest: 'hitDiceHealing.rest',
+  // (actor, { amount, reason }) before Hit Dice are replenished
+  preReplenish: 'hitDiceHealing.preReplenish',
+  // (actor, { replenished, total, reason })
+  replenish: 'hitDiceHealing.replenish'
+};
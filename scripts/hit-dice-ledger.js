@@ -0,0 +1,141 @@
+/**
+ * Hit Dice Healing - Ledger Viewer
+ * ApplicationV2 window listing every change to an actor's Hit Dice
+ */
+
+import { HitDiceManager } from './hit-dice-manager.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class HitDiceLedger extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    classes: ['hit-dice-healing', 'hit-dice-ledger'],
+    tag: 'div',
+    window: {
+      icon: 'fas fa-book',
+      resizable: true
+    },
+    position: {
+      width: 520,
+      height: 480
+    },
+    actions: {
+      exportJournal: HitDiceLedger.#onExportJournal,
+      clearLedger: HitDiceLedger.#onClearLedger
+    }
+  };
+
+  static PARTS = {
+    ledger: {
+      template: 'modules/hit-dice-healing/templates/hit-dice-ledger.hbs',
+      scrollable: ['.ledger-table-wrapper']
+    }
+  };
+
+  /**
+   * @param {Actor} actor - The actor whose ledger is shown
+   */
+  constructor(actor) {
+    super({ id: `hit-dice-ledger-${actor.id}` });
+    this.actor = actor;
+  }
+
+  /**
+   * Open an actor's ledger, bringing an already open one to the front
+   * instead of creating a second window with the same ID
+   * @param {Actor} actor - The actor whose ledger is shown
+   * @returns {Promise<HitDiceLedger>} The rendered ledger
+   */
+  static open(actor) {
+    const ledger = foundry.applications.instances.get(`hit-dice-ledger-${actor.id}`) ?? new HitDiceLedger(actor);
+    return ledger.render({ force: true });
+  }
+
+  /**
+   * Window title including the actor name
+   */
+  get title() {
+    return game.i18n.format('HIT_DICE_HEALING.LedgerTitle', { name: this.actor.name });
+  }
+
+  /**
+   * Ledger entries formatted for display, newest first
+   * @returns {Array<Object>}
+   */
+  #getEntries() {
+    return HitDiceManager.getLedger(this.actor)
+      .map(entry => ({
+        ...entry,
+        date: new Date(entry.timestamp).toLocaleString(game.i18n.lang),
+        reasonLabel: game.i18n.localize(HitDiceManager.LEDGER_REASONS[entry.reason] ?? entry.reason),
+        deltaLabel: entry.delta > 0 ? `+${entry.delta}` : `${entry.delta}`,
+        isGain: entry.delta > 0
+      }))
+      .reverse();
+  }
+
+  /**
+   * Prepare context data for the template
+   */
+  async _prepareContext() {
+    return {
+      actorName: this.actor.name,
+      entries: this.#getEntries(),
+      isGM: game.user.isGM,
+      canExport: game.user.can('JOURNAL_CREATE')
+    };
+  }
+
+  /**
+   * Export the ledger as a Journal Entry
+   */
+  static async #onExportJournal(event, target) {
+    const i18n = (key) => game.i18n.localize(`HIT_DICE_HEALING.${key}`);
+    const rows = this.#getEntries().map(entry => `
+      <tr>
+        <td>${entry.date}</td>
+        <td>${Handlebars.escapeExpression(entry.userName)}</td>
+        <td>${entry.reasonLabel}</td>
+        <td>${entry.deltaLabel}</td>
+        <td>${entry.result}</td>
+      </tr>`).join('');
+
+    const content = `
+      <table>
+        <thead>
+          <tr>
+            <th>${i18n('LedgerTime')}</th>
+            <th>${i18n('LedgerUser')}</th>
+            <th>${i18n('LedgerReason')}</th>
+            <th>${i18n('LedgerDelta')}</th>
+            <th>${i18n('LedgerResult')}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+
+    const name = this.title;
+    const journal = await JournalEntry.create({
+      name,
+      pages: [{ name, type: 'text', text: { content } }]
+    });
+    if (journal) {
+      ui.notifications.info(game.i18n.format('HIT_DICE_HEALING.LedgerExported', { name }));
+    }
+  }
+
+  /**
+   * Clear the ledger (GM only)
+   */
+  static async #onClearLedger(event, target) {
+    if (!game.user.isGM) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: this.title },
+      content: `<p>${game.i18n.localize('HIT_DICE_HEALING.LedgerClearConfirm')}</p>`
+    });
+    if (!confirmed) return;
+    await HitDiceManager.clearLedger(this.actor);
+    this.render();
+  }
+}
@@ -3,10 +3,18 @@
  * Handles all Hit Dice logic, storage, and calculations
  */
 
+import { HOOKS, MODULE_ID, SCHEMA_VERSION } from './constants.js';
+import { SocketHandler } from './socket.js';
+
 export class HitDiceManager {
 
   /**
-   * Die type mapping by class name (lowercase)
+   * Valid Hit Die sizes
+   */
+  static DIE_SIZES = [6, 8, 10, 12];
+
+  /**
+   * Default die type mapping by class slug (editable by the GM in the module settings)
    * d6: Psychic, Sorcerer, Witch, Wizard
    * d8: Alchemist, Animist, Bard, Cleric, Commander, Druid, Gunslinger, Investigator, Inventor, Kineticist, Oracle, Rogue, Thaumaturge
    * d10: Champion, Exemplar, Fighter, Guardian, Magus, Monk, Ranger, Summoner, Swashbuckler
@@ -50,149 +58,829 @@ export class HitDiceManager {
   };
 
   /**
-   * Get maximum Hit Dice for an actor (Level + 1)
+   * Evaluate a deterministic rule formula from the world settings (e.g. "@level + 1")
+   * @param {string} formula - The formula to evaluate
+   * @param {Object} data - Values available as @-references
+   * @param {number} fallback - Value used if the formula cannot be evaluated
+   * @returns {number} The evaluated value, rounded down
+   */
+  static evaluateFormula(formula, data, fallback) {
+    try {
+      const value = Roll.safeEval(Roll.replaceFormulaData(formula, data, { missing: '0' }));
+      if (Number.isFinite(value)) return Math.floor(value);
+    } catch (err) {
+      // Fall through to the fallback below
+    }
+    console.warn(`Hit Dice Healing | Could not evaluate formula "${formula}", using ${fallback}`);
+    return fallback;
+  }
+
+  /**
+   * Get maximum Hit Dice for an actor (configurable, default Level + 1)
    * @param {Actor} actor - The PF2E actor
    * @returns {number} Maximum Hit Dice
    */
   static getMaxHitDice(actor) {
     const level = actor.system?.details?.level?.value ?? 1;
-    return level + 1;
+    const formula = game.settings.get(MODULE_ID, 'maxHitDiceFormula');
+    const bonus = this.sumModifiers(this.getActorModifiers(actor, 'maxDice'));
+    return Math.max(0, this.evaluateFormula(formula, { level }, level + 1) + bonus);
+  }
+
+  // ============================================================================
+  // ACTOR MODIFIERS (rule elements and item flags)
+  // ============================================================================
+
+  /**
+   * Rule element selectors read by the module, by modifier key
+   */
+  static MODIFIER_SELECTORS = {
+    maxDice: 'hit-dice-max',
+    healingPerDie: 'hit-dice-healing',
+    minimumPerDie: 'hit-dice-minimum'
+  };
+
+  /**
+   * Roll option (e.g. from a RollOption rule element) that rerolls 1s on Hit Dice
+   */
+  static REROLL_OPTION = 'hit-dice-healing:reroll-ones';
+
+  /**
+   * Collect an actor's modifiers for a key: PF2e FlatModifier rule elements using the
+   * key's selector, plus `flags.hit-dice-healing.modifiers.<key>` on the actor's items.
+   * @param {Actor} actor - The PF2E actor
+   * @param {'maxDice'|'healingPerDie'|'minimumPerDie'} key - The modifier key
+   * @returns {Array<{label: string, value: number}>}
+   */
+  static getActorModifiers(actor, key) {
+    const modifiers = [];
+    const deferred = actor.synthetics?.modifiers?.[this.MODIFIER_SELECTORS[key]] ?? [];
+    if (deferred.length) {
+      const test = new Set(this.getHealingRollOptions(actor));
+      for (const getModifier of deferred) {
+        const modifier = getModifier({ test });
+        if (modifier && modifier.enabled !== false && !modifier.ignored) {
+          modifiers.push({ label: modifier.label, value: modifier.modifier });
+        }
+      }
+    }
+
+    for (const item of actor.items ?? []) {
+      const value = Number(item.flags?.[MODULE_ID]?.modifiers?.[key]);
+      if (value) modifiers.push({ label: item.name, value });
+    }
+    return modifiers;
+  }
+
+  /**
+   * @param {Array<{value: number}>} modifiers
+   * @returns {number} The total of the modifiers
+   */
+  static sumModifiers(modifiers) {
+    return modifiers.reduce((sum, modifier) => sum + modifier.value, 0);
+  }
+
+  /**
+   * Format modifiers for display, e.g. "Constitution +3, Toughness +1"
+   * @param {Array<{label: string, value: number}>} modifiers
+   * @returns {string}
+   */
+  static formatModifiers(modifiers) {
+    return modifiers
+      .map(({ label, value }) => `${label} ${value < 0 ? value : `+${value}`}`)
+      .join(', ');
+  }
+
+  /**
+   * Check if an actor rerolls 1s on Hit Dice (roll option or item flag)
+   * @param {Actor} actor - The PF2E actor
+   * @returns {boolean}
+   */
+  static hasRerollOnes(actor) {
+    if (actor.items?.some(item => item.flags?.[MODULE_ID]?.modifiers?.rerollOnes)) return true;
+    return this.getHealingRollOptions(actor).includes(this.REROLL_OPTION);
+  }
+
+  // ============================================================================
+  // HIT DICE POOLS
+  // ============================================================================
+
+  /**
+   * Pools are plain objects mapping die size to a number of dice, e.g. { 8: 4, 10: 2 }.
+   * Count the dice in a pool
+   * @param {Object<number, number>} pool - The pool
+   * @returns {number} Total number of dice
+   */
+  static countPool(pool) {
+    return Object.values(pool).reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Format a pool for display (largest die first)
+   * @param {Object<number, number>} pool - The pool
+   * @returns {string} e.g. "2d10 + 4d8"
+   */
+  static formatPool(pool) {
+    return this.#poolEntries(pool)
+      .map(([size, count]) => `${count}d${size}`)
+      .join(' + ');
+  }
+
+  /**
+   * Get the non-empty [size, count] entries of a pool, largest die first
+   * @param {Object<number, number>} pool - The pool
+   * @returns {Array<[number, number]>}
+   */
+  static #poolEntries(pool) {
+    return Object.entries(pool)
+      .map(([size, count]) => [Number(size), count])
+      .filter(([, count]) => count > 0)
+      .sort((a, b) => b[0] - a[0]);
+  }
+
+  /**
+   * Take dice out of a pool, smallest or largest dice first
+   * @param {Object<number, number>} pool - The pool to take from
+   * @param {number} count - Number of dice to take
+   * @param {'smallest'|'largest'} order - Which dice go first
+   * @returns {Object<number, number>} The dice taken
+   */
+  static #takeFromPool(pool, count, order) {
+    const taken = {};
+    const sizes = this.#poolEntries(pool).map(([size]) => size);
+    if (order === 'smallest') sizes.reverse();
+
+    let remaining = count;
+    for (const size of sizes) {
+      if (remaining <= 0) break;
+      const amount = Math.min(pool[size], remaining);
+      taken[size] = amount;
+      remaining -= amount;
+    }
+    return taken;
+  }
+
+  /**
+   * Get the dice that left a pool between two states
+   * @param {Object<number, number>} before - The earlier pool
+   * @param {Object<number, number>} after - The later pool
+   * @returns {Object<number, number>} Dice spent by size
+   */
+  static #poolSpent(before, after) {
+    const spent = {};
+    for (const [size, count] of Object.entries(before)) {
+      const difference = count - (after[size] ?? 0);
+      if (difference > 0) spent[size] = difference;
+    }
+    return spent;
+  }
+
+  /**
+   * Get the extra die sizes granted by multiclass dedications (one entry per die).
+   * Each multiclass dedication whose class is in the class table contributes the
+   * configured number of dice, plus one die per "dedication levels" character levels
+   * gained since the feat was taken; a feat flag (hitDie / hitDiceCount) can set this explicitly.
+   * @param {Actor} actor - The PF2E actor
+   * @returns {number[]} Die sizes, e.g. [10, 10]
+   */
+  static getDedicationDice(actor) {
+    const table = this.getClassDieTypes();
+    const mainSlug = this.getClassSlug(actor);
+    const perDedication = game.settings.get(MODULE_ID, 'dedicationDice');
+    const levelStep = game.settings.get(MODULE_ID, 'dedicationLevels');
+    const level = actor.system?.details?.level?.value ?? 1;
+    const dice = [];
+
+    for (const feat of actor.items.filter(i => i.type === 'feat')) {
+      let dieType = feat.getFlag(MODULE_ID, 'hitDie');
+      let count = feat.getFlag(MODULE_ID, 'hitDiceCount');
+      if (count === undefined) {
+        // Levels gained after the dedication was taken
+        const taken = feat.system?.level?.taken ?? feat.system?.level?.value ?? level;
+        count = perDedication + (levelStep > 0 ? Math.floor(Math.max(0, level - taken) / levelStep) : 0);
+      }
+
+      if (!this.DIE_SIZES.includes(dieType)) {
+        const traits = feat.system?.traits?.value ?? [];
+        if (!traits.includes('dedication') || !traits.includes('multiclass')) continue;
+        const classSlug = feat.slug?.replace(/-dedication$/, '');
+        if (!classSlug || classSlug === mainSlug) continue;
+        dieType = table[classSlug];
+        if (!this.DIE_SIZES.includes(dieType)) continue;
+      }
+
+      for (let i = 0; i < count; i++) dice.push(dieType);
+    }
+
+    return dice;
+  }
+
+  /**
+   * Get the maximum Hit Dice pool for an actor.
+   * All dice use the class die unless mixed pools are enabled, in which case
+   * dedication dice replace class dice (at least one class die is kept).
+   * @param {Actor} actor - The PF2E actor
+   * @returns {Object<number, number>} Maximum pool
+   */
+  static getMaxPool(actor) {
+    const pool = {};
+    let remaining = this.getMaxHitDice(actor);
+
+    if (game.settings.get(MODULE_ID, 'multiclassPool')) {
+      for (const dieType of this.getDedicationDice(actor)) {
+        if (remaining <= 1) break;
+        pool[dieType] = (pool[dieType] ?? 0) + 1;
+        remaining--;
+      }
+    }
+
+    const mainDie = this.getDieType(actor);
+    pool[mainDie] = (pool[mainDie] ?? 0) + remaining;
+    return pool;
+  }
+
+  /**
+   * Get the currently available Hit Dice pool from actor flags
+   * @param {Actor} actor - The PF2E actor
+   * @returns {Object<number, number>} Current pool
+   */
+  static getCurrentPool(actor) {
+    const max = this.getMaxPool(actor);
+    const stored = actor.getFlag(MODULE_ID, 'pool');
+
+    if (stored) {
+      const pool = {};
+      const added = {}; // Die sizes without a stored value, e.g. a changed class die or a new dedication
+      let keptSpent = 0;
+      for (const [size, maxCount] of Object.entries(max)) {
+        if (stored[size] === undefined) {
+          added[size] = maxCount;
+          continue;
+        }
+        pool[size] = Math.max(0, Math.min(stored[size], maxCount));
+        keptSpent += maxCount - pool[size];
+      }
+
+      // New die sizes take over the dice still spent from sizes that left the pool,
+      // so changing die sizes does not give spent dice back
+      const spent = Math.max(0, this.countPool(max) - this.countPool(stored) - keptSpent);
+      const taken = this.#takeFromPool(added, spent, 'smallest');
+      for (const [size, maxCount] of Object.entries(added)) {
+        pool[size] = maxCount - (taken[size] ?? 0);
+      }
+      return pool;
+    }
+
+    // Older worlds stored a single total; spend the difference from the smallest dice
+    const legacy = actor.getFlag(MODULE_ID, 'current');
+    const pool = { ...max };
+    if (legacy !== undefined && legacy !== null) {
+      const spent = this.#takeFromPool(pool, this.countPool(max) - legacy, 'smallest');
+      for (const [size, count] of Object.entries(spent)) pool[size] -= count;
+    }
+    return pool;
+  }
+
+  /**
+   * Store the available Hit Dice pool in actor flags (clamped to the maximum pool)
+   * and record the change in the actor's Hit Dice ledger
+   * @param {Actor} actor - The PF2E actor
+   * @param {Object<number, number>} pool - New pool
+   * @param {string} [reason] - Ledger reason (see LEDGER_REASONS)
+   */
+  static async setCurrentPool(actor, pool, reason = 'manual') {
+    const max = this.getMaxPool(actor);
+    const clamped = {};
+    for (const [size, maxCount] of Object.entries(max)) {
+      clamped[size] = Math.max(0, Math.min(pool[size] ?? 0, maxCount));
+    }
+
+    const updates = {
+      [`flags.${MODULE_ID}.pool`]: clamped,
+      [`flags.${MODULE_ID}.-=current`]: null,
+      [`flags.${MODULE_ID}.schemaVersion`]: SCHEMA_VERSION
+    };
+
+    const before = this.getCurrentHitDice(actor);
+    const after = this.countPool(clamped);
+    if (after !== before) {
+      updates[`flags.${MODULE_ID}.ledger`] = this.#appendLedger(actor, {
+        reason,
+        delta: after - before,
+        result: after
+      });
+    }
+
+    await actor.update(updates);
   }
 
   /**
-   * Get current available Hit Dice from actor flags
+   * Get current available Hit Dice (all die sizes)
    * @param {Actor} actor - The PF2E actor
    * @returns {number} Current Hit Dice
    */
   static getCurrentHitDice(actor) {
-    const stored = actor.getFlag('hit-dice-healing', 'current');
-    // If no flag set, return max (first use)
-    if (stored === undefined || stored === null) {
-      return this.getMaxHitDice(actor);
-    }
-    return stored;
+    return this.countPool(this.getCurrentPool(actor));
   }
 
   /**
-   * Set current Hit Dice in actor flags
+   * Set the total number of available Hit Dice.
+   * Dice are spent smallest first and regained largest first.
    * @param {Actor} actor - The PF2E actor
    * @param {number} value - New Hit Dice value
+   * @param {string} [reason] - Ledger reason (see LEDGER_REASONS)
    */
-  static async setCurrentHitDice(actor, value) {
-    const max = this.getMaxHitDice(actor);
-    const clamped = Math.max(0, Math.min(value, max));
-    await actor.setFlag('hit-dice-healing', 'current', clamped);
+  static async setCurrentHitDice(actor, value, reason = 'manual') {
+    const current = this.getCurrentPool(actor);
+    const delta = value - this.countPool(current);
+
+    if (delta < 0) {
+      const spent = this.#takeFromPool(current, -delta, 'smallest');
+      for (const [size, count] of Object.entries(spent)) current[size] -= count;
+    } else if (delta > 0) {
+      const max = this.getMaxPool(actor);
+      const missing = {};
+      for (const [size, maxCount] of Object.entries(max)) missing[size] = maxCount - (current[size] ?? 0);
+      const regained = this.#takeFromPool(missing, delta, 'largest');
+      for (const [size, count] of Object.entries(regained)) current[size] = (current[size] ?? 0) + count;
+    }
+
+    await this.setCurrentPool(actor, current, reason);
+  }
+
+  // ============================================================================
+  // LEVEL CHANGES
+  // ============================================================================
+
+  /**
+   * Get an actor's level from an update's changes
+   * @param {Object} changes - The update data
+   * @returns {number|undefined} The new level, if it changes
+   */
+  static #getChangedLevel(changes) {
+    return foundry.utils.getProperty(changes, 'system.details.level.value');
+  }
+
+  /**
+   * Capture the Hit Dice state before a character's level changes (preUpdateActor).
+   * The snapshot is carried in the update options (by actor ID) to applyLevelChange.
+   * @param {Actor} actor - The PF2E actor
+   * @param {Object} changes - The update data
+   * @param {Object} options - The update options
+   */
+  static captureLevelChange(actor, changes, options) {
+    if (actor.type !== 'character') return;
+    const level = this.#getChangedLevel(changes);
+    const before = actor.system?.details?.level?.value ?? 1;
+    if (level === undefined || level === before) return;
+
+    // Options are shared by every actor in a batched update, so snapshots are keyed by actor
+    const moduleOptions = options[MODULE_ID] ??= {};
+    moduleOptions.levelChange ??= {};
+    moduleOptions.levelChange[actor.id] = {
+      from: before,
+      pool: this.getCurrentPool(actor),
+      maxPool: this.getMaxPool(actor)
+    };
+  }
+
+  /**
+   * Adjust current Hit Dice after a character's level changed (updateActor),
+   * following the levelChangePolicy setting:
+   * - gain: dice gained by levelling up are available immediately
+   * - longRest: new dice start spent and are regained by the next rest
+   * - keepSpent: the number of spent dice stays the same, up or down
+   * @param {Actor} actor - The PF2E actor
+   * @param {Object} snapshot - State captured by captureLevelChange
+   */
+  static async applyLevelChange(actor, { from, pool, maxPool }) {
+    const policy = game.settings.get(MODULE_ID, 'levelChangePolicy');
+    const to = actor.system?.details?.level?.value ?? 1;
+    const newMax = this.getMaxPool(actor);
+    const next = {};
+
+    for (const [size, maxCount] of Object.entries(newMax)) {
+      const had = pool[size] ?? 0;
+      const hadMax = maxPool[size] ?? 0;
+      if (policy === 'keepSpent') {
+        next[size] = maxCount - (hadMax - had);
+      } else if (policy === 'gain') {
+        next[size] = had + Math.max(0, maxCount - hadMax);
+      } else {
+        next[size] = had;
+      }
+    }
+
+    const before = this.countPool(pool);
+    await this.setCurrentPool(actor, next, 'levelChange');
+
+    const content = game.i18n.format('HIT_DICE_HEALING.LevelChangeMessage', {
+      name: `<strong>${actor.name}</strong>`,
+      from,
+      to,
+      before: `${before}/${this.countPool(maxPool)}`,
+      after: `${this.getCurrentHitDice(actor)}/${this.countPool(newMax)}`,
+      policy: game.i18n.localize(`HIT_DICE_HEALING.LevelChange${policy.charAt(0).toUpperCase()}${policy.slice(1)}`)
+    });
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content,
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      whisper: ChatMessage.getWhisperRecipients('GM').map(user => user.id)
+    });
+  }
+
+  // ============================================================================
+  // LEDGER
+  // ============================================================================
+
+  /**
+   * Ledger reasons and their localization keys
+   */
+  static LEDGER_REASONS = {
+    roll: 'HIT_DICE_HEALING.LedgerReasonRoll',
+    spellslot: 'HIT_DICE_HEALING.LedgerReasonSpellslot',
+    resource: 'HIT_DICE_HEALING.LedgerReasonResource',
+    replenish: 'HIT_DICE_HEALING.LedgerReasonReplenish',
+    longRest: 'HIT_DICE_HEALING.LedgerReasonLongRest',
+    fullRest: 'HIT_DICE_HEALING.LedgerReasonFullRest',
+    gmReplenish: 'HIT_DICE_HEALING.LedgerReasonGmReplenish',
+    revert: 'HIT_DICE_HEALING.LedgerReasonRevert',
+    levelChange: 'HIT_DICE_HEALING.LedgerReasonLevelChange',
+    manual: 'HIT_DICE_HEALING.LedgerReasonManual'
+  };
+
+  /**
+   * Get the Hit Dice ledger for an actor (oldest entry first)
+   * @param {Actor} actor - The PF2E actor
+   * @returns {Array<{timestamp: number, userId: string, userName: string, reason: string, delta: number, result: number}>}
+   */
+  static getLedger(actor) {
+    return actor.getFlag(MODULE_ID, 'ledger') ?? [];
+  }
+
+  /**
+   * Build the ledger with a new entry appended, trimmed to the configured size
+   * @param {Actor} actor - The PF2E actor
+   * @param {{reason: string, delta: number, result: number}} entry - The change to record
+   * @returns {Array} The new ledger
+   */
+  static #appendLedger(actor, entry) {
+    const size = Math.max(1, game.settings.get(MODULE_ID, 'ledgerSize'));
+    const ledger = [...this.getLedger(actor), {
+      timestamp: Date.now(),
+      userId: game.user.id,
+      userName: game.user.name,
+      ...entry
+    }];
+    return ledger.slice(-size);
+  }
+
+  /**
+   * Clear the Hit Dice ledger of an actor
+   * @param {Actor} actor - The PF2E actor
+   */
+  static async clearLedger(actor) {
+    await actor.setFlag(MODULE_ID, 'ledger', []);
+  }
+
+  /**
+   * Turn a dice selection into a pool, validated against the available dice.
+   * A plain number spends the largest available dice first.
+   * @param {Actor} actor - The PF2E actor
+   * @param {number|Object<number, number>} dice - Number of dice or a pool selection
+   * @returns {Object<number, number>|null} The selected pool, or null if not affordable
+   */
+  static resolveSelection(actor, dice) {
+    const current = this.getCurrentPool(actor);
+
+    if (typeof dice === 'number') {
+      if (dice > this.countPool(current)) return null;
+      return this.#takeFromPool(current, dice, 'largest');
+    }
+
+    const selection = {};
+    for (const [size, count] of this.#poolEntries(dice)) {
+      if (count > (current[size] ?? 0)) return null;
+      selection[size] = count;
+    }
+    return selection;
+  }
+
+  /**
+   * Get the class slug → die type table from the world settings
+   * @returns {Object<string, number>} Die type by class slug
+   */
+  static getClassDieTypes() {
+    return game.settings.get(MODULE_ID, 'classDieTypes') ?? this.CLASS_DIE_TYPES;
+  }
+
+  /**
+   * Get the slug of an actor's class item
+   * @param {Actor} actor - The PF2E actor
+   * @returns {string|null} Class slug (e.g. "fighter")
+   */
+  static getClassSlug(actor) {
+    const classItem = actor.class ?? actor.items?.find(i => i.type === 'class');
+    if (!classItem) return null;
+    if (classItem.slug) return classItem.slug;
+
+    // Homebrew items without a slug: derive one from the name
+    const sluggify = game.pf2e?.system?.sluggify;
+    return sluggify ? sluggify(classItem.name) : classItem.name.toLowerCase().replace(/\s+/g, '-');
+  }
+
+  /**
+   * Get the per-actor die type override, if the GM has set one
+   * @param {Actor} actor - The PF2E actor
+   * @returns {number|null} Die type override
+   */
+  static getDieOverride(actor) {
+    const override = actor.getFlag(MODULE_ID, 'dieOverride');
+    return this.DIE_SIZES.includes(override) ? override : null;
+  }
+
+  /**
+   * Set or clear the per-actor die type override
+   * @param {Actor} actor - The PF2E actor
+   * @param {number|null} dieType - Die type (6, 8, 10, 12), or null to use the class table
+   */
+  static async setDieOverride(actor, dieType) {
+    if (this.DIE_SIZES.includes(dieType)) {
+      await actor.setFlag(MODULE_ID, 'dieOverride', dieType);
+    } else {
+      await actor.unsetFlag(MODULE_ID, 'dieOverride');
+    }
   }
 
   /**
-   * Get the die type for an actor based on their class
+   * Get the die type for an actor's class from the class table, ignoring any override
    * @param {Actor} actor - The PF2E actor
    * @returns {number} Die type (6, 8, 10, or 12)
    */
-  static getDieType(actor) {
-    // Try multiple paths to get class name
-    const className = actor.class?.name?.toLowerCase()
-      ?? actor.system?.details?.class?.name?.toLowerCase()
-      ?? actor.items?.find(i => i.type === 'class')?.name?.toLowerCase();
+  static getClassDieType(actor) {
+    const slug = this.getClassSlug(actor);
+    const dieType = slug ? this.getClassDieTypes()[slug] : undefined;
 
-    if (className && this.CLASS_DIE_TYPES[className]) {
-      return this.CLASS_DIE_TYPES[className];
+    if (this.DIE_SIZES.includes(dieType)) {
+      return dieType;
     }
 
     // Default to d8 if class not found
-    console.warn(`Hit Dice Healing | Unknown class "${className}", defaulting to d8`);
+    console.warn(`Hit Dice Healing | Unknown class "${slug}", defaulting to d8`);
     return 8;
   }
 
   /**
-   * Get Constitution modifier for an actor
+   * Get the die type for an actor (per-actor override, else class table)
+   * @param {Actor} actor - The PF2E actor
+   * @returns {number} Die type (6, 8, 10, or 12)
+   */
+  static getDieType(actor) {
+    return this.getDieOverride(actor) ?? this.getClassDieType(actor);
+  }
+
+  /**
+   * Get the attribute whose modifier is added to each die (e.g. "con", or "none")
+   * @returns {string} Attribute key
+   */
+  static getBonusAttribute() {
+    return game.settings.get(MODULE_ID, 'bonusAttribute');
+  }
+
+  /**
+   * Get the parts of the per-die bonus: the configured attribute's modifier
+   * and any per-die healing modifiers from the actor's feats and items
+   * @param {Actor} actor - The PF2E actor
+   * @returns {Array<{label: string, value: number}>}
+   */
+  static getBonusBreakdown(actor) {
+    const breakdown = [];
+    const attribute = this.getBonusAttribute();
+    if (attribute && attribute !== 'none') {
+      const label = CONFIG.PF2E?.abilities?.[attribute];
+      breakdown.push({
+        label: label ? game.i18n.localize(label) : attribute,
+        value: actor.system?.abilities?.[attribute]?.mod ?? 0
+      });
+    }
+    return [...breakdown, ...this.getActorModifiers(actor, 'healingPerDie')];
+  }
+
+  /**
+   * Get the per-die bonus modifier for an actor
    * @param {Actor} actor - The PF2E actor
-   * @returns {number} CON modifier
+   * @returns {number} Attribute modifier plus per-die healing modifiers
    */
-  static getConModifier(actor) {
-    return actor.system?.abilities?.con?.mod ?? 0;
+  static getBonusModifier(actor) {
+    return this.sumModifiers(this.getBonusBreakdown(actor));
+  }
+
+  /**
+   * Get the minimum HP healed per die spent.
+   * With an actor, the highest minimum from its modifiers applies if it beats the setting.
+   * @param {Actor} [actor] - The PF2E actor
+   * @returns {number} Minimum healing per die
+   */
+  static getMinimumPerDie(actor) {
+    const base = Math.max(0, game.settings.get(MODULE_ID, 'minimumPerDie') ?? 0);
+    if (!actor) return base;
+    const values = this.getActorModifiers(actor, 'minimumPerDie').map(modifier => modifier.value);
+    return Math.max(base, ...values);
+  }
+
+  /**
+   * Get the Hit Dice cost to restore a spellslot of the given rank
+   * @param {Actor} actor - The PF2E actor
+   * @param {number} rank - Spellslot rank (1-10)
+   * @returns {number} Hit Dice required
+   */
+  static getSlotCost(actor, rank) {
+    const level = actor.system?.details?.level?.value ?? 1;
+    const formula = game.settings.get(MODULE_ID, 'slotCostFormula');
+    return Math.max(0, this.evaluateFormula(formula, { level, rank }, rank));
   }
 
   /**
    * Calculate healing range for display
-   * @param {number} diceCount - Number of dice to roll
-   * @param {number} dieType - Die type (6, 8, 10, 12)
-   * @param {number} conMod - Constitution modifier
+   * @param {Object<number, number>} pool - Dice to roll by size
+   * @param {number} bonusMod - Per-die bonus modifier
+   * @param {number} [minimumPerDie] - Minimum healing per die (defaults to the setting)
    * @returns {{min: number, max: number}} Range object
    */
-  static calculateRange(diceCount, dieType, conMod) {
-    const totalConMod = conMod * diceCount;
-    // Minimum is 1 HP per die spent (even with negative CON)
-    const rawMin = diceCount + totalConMod;
-    const min = Math.max(diceCount, rawMin);
-    const max = Math.max(diceCount, (dieType * diceCount) + totalConMod);
+  static calculateRange(pool, bonusMod, minimumPerDie = this.getMinimumPerDie()) {
+    const diceCount = this.countPool(pool);
+    const totalMod = bonusMod * diceCount;
+    const maxRoll = this.#poolEntries(pool).reduce((sum, [size, count]) => sum + (size * count), 0);
+    // Healing never drops below the configured minimum per die (even with a negative modifier)
+    const minimum = minimumPerDie * diceCount;
+    const min = Math.max(minimum, diceCount + totalMod);
+    const max = Math.max(minimum, maxRoll + totalMod);
     return { min, max };
   }
 
   /**
    * Build the roll formula string
-   * @param {number} diceCount - Number of dice
-   * @param {number} dieType - Die type
-   * @param {number} conMod - CON modifier
-   * @returns {string} Roll formula (e.g., "3d8+6")
+   * @param {Object<number, number>} pool - Dice to roll by size
+   * @param {number} bonusMod - Per-die bonus modifier
+   * @param {Object} [options]
+   * @param {boolean} [options.rerollOnes=false] - Reroll each die showing a 1 once
+   * @returns {string} Roll formula (e.g., "2d10+3d8+10")
    */
-  static buildFormula(diceCount, dieType, conMod) {
-    const totalMod = conMod * diceCount;
+  static buildFormula(pool, bonusMod, { rerollOnes = false } = {}) {
+    const reroll = rerollOnes ? 'r1' : '';
+    const dice = this.#poolEntries(pool).map(([size, count]) => `${count}d${size}${reroll}`).join('+');
+    const totalMod = bonusMod * this.countPool(pool);
     if (totalMod === 0) {
-      return `${diceCount}d${dieType}`;
+      return dice;
     } else if (totalMod > 0) {
-      return `${diceCount}d${dieType}+${totalMod}`;
+      return `${dice}+${totalMod}`;
     } else {
-      return `${diceCount}d${dieType}${totalMod}`;
+      return `${dice}${totalMod}`;
     }
   }
 
   /**
    * Roll Hit Dice and apply healing to the actor
    * @param {Actor} actor - The PF2E actor
-   * @param {number} diceCount - Number of Hit Dice to spend
+   * @param {number|Object<number, number>} dice - Number of Hit Dice, or dice by size, to spend
    * @returns {Promise<{roll: Roll, healing: number}>} Roll result and healing applied
    */
-  static async rollAndHeal(actor, diceCount) {
-    const current = this.getCurrentHitDice(actor);
+  static async rollAndHeal(actor, dice) {
+    if (!await this.checkCombat(actor)) return null;
+
+    let selection = this.resolveSelection(actor, dice);
+    if (!this.#validateSelection(actor, selection)) return null;
+
+    // Other modules may change the dice, the per-die bonus or the formula, or cancel the roll
+    const bonusMod = this.getBonusModifier(actor);
+    const rerollOnes = this.hasRerollOnes(actor);
+    const defaultFormula = this.buildFormula(selection, bonusMod, { rerollOnes });
+    const rollData = { dice: { ...selection }, bonusMod, rerollOnes, formula: defaultFormula };
+    if (Hooks.call(HOOKS.preRoll, actor, rollData) === false) return null;
+
+    selection = this.resolveSelection(actor, rollData.dice);
+    if (!this.#validateSelection(actor, selection)) return null;
+    const diceCount = this.countPool(selection);
+    const formula = rollData.formula !== defaultFormula
+      ? rollData.formula
+      : this.buildFormula(selection, rollData.bonusMod, { rerollOnes: rollData.rerollOnes });
+    const rollOptions = this.getHealingRollOptions(actor);
+
+    // Roll the dice as a PF2e healing roll
+    const roll = await this.createHealingRoll(formula).evaluate();
+
+    // Apply minimum healing (HP per die spent), then let other modules adjust it
+    const minimumPerDie = this.getMinimumPerDie(actor);
+    const minimum = minimumPerDie * diceCount;
+    const healData = { roll, healing: Math.max(roll.total, minimum) };
+    if (Hooks.call(HOOKS.preHeal, actor, healData) === false) return null;
+    const healing = Math.max(0, Math.floor(Number(healData.healing) || 0));
+
+    // Apply the healing through PF2e (HP cap, dying/wounded, healing adjustments)
+    const hpBefore = actor.system.attributes.hp.value;
+    await this.applyHealing(actor, roll, healing, rollOptions);
+    const actualHealing = actor.system.attributes.hp.value - hpBefore;
+
+    // Remove the spent dice from the pool
+    const remaining = this.getCurrentPool(actor);
+    for (const [size, count] of Object.entries(selection)) remaining[size] -= count;
+    await this.setCurrentPool(actor, remaining, 'roll');
+
+    // Send chat message
+    await this.sendChatMessage(actor, roll, healing, actualHealing, selection, remaining, {
+      formula,
+      breakdown: this.formatModifiers(this.getBonusBreakdown(actor)),
+      rerollOnes: rollData.rerollOnes,
+      minimumPerDie,
+      undo: { action: 'roll', healed: actualHealing, spent: selection }
+    });
+
+    Hooks.callAll(HOOKS.roll, actor, { roll, healing: actualHealing, spent: selection, remaining });
+    return { roll, healing: actualHealing };
+  }
 
-    // Validate
-    if (diceCount > current) {
+  /**
+   * Check that a resolved selection can be rolled, warning if not
+   * @param {Actor} actor - The PF2E actor
+   * @param {Object<number, number>|null} selection - Resolved selection (see resolveSelection)
+   * @returns {boolean} True if the selection is valid
+   */
+  static #validateSelection(actor, selection) {
+    if (!selection) {
       ui.notifications.warn(game.i18n.format('HIT_DICE_HEALING.NotEnoughDiceNamed', { name: actor.name }));
-      return null;
+      return false;
     }
-
-    if (diceCount < 1) {
+    if (this.countPool(selection) < 1) {
       ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.MinimumOneDie'));
-      return null;
+      return false;
     }
+    return true;
+  }
 
-    const dieType = this.getDieType(actor);
-    const conMod = this.getConModifier(actor);
-    const formula = this.buildFormula(diceCount, dieType, conMod);
-
-    // Roll the dice
-    const roll = await new Roll(formula).evaluate();
+  /**
+   * Get the roll options for a Hit Dice healing roll
+   * @param {Actor} actor - The PF2E actor
+   * @returns {string[]} Roll options
+   */
+  static getHealingRollOptions(actor) {
+    const actorOptions = actor.getRollOptions?.(['all', 'healing-received']) ?? [];
+    return [...new Set([...actorOptions, 'healing', 'hit-dice-healing', 'item:trait:healing'])];
+  }
 
-    // Apply minimum healing (1 HP per die spent)
-    const healing = Math.max(roll.total, diceCount);
+  /**
+   * PF2e's DamageRoll class, resolved on first use
+   * @type {typeof Roll|undefined}
+   */
+  static #damageRoll;
 
-    // Calculate new HP (capped at max)
-    const currentHP = actor.system.attributes.hp.value;
-    const maxHP = actor.system.attributes.hp.max;
-    const newHP = Math.min(currentHP + healing, maxHP);
-    const actualHealing = newHP - currentHP;
+  /**
+   * Get PF2e's DamageRoll class
+   * @returns {typeof Roll|null} The class, or null if the system does not register one
+   */
+  static get #DamageRoll() {
+    this.#damageRoll ??= CONFIG.Dice.rolls.find(r => r.name === 'DamageRoll') ?? null;
+    return this.#damageRoll;
+  }
 
-    // Update actor HP
-    await actor.update({ 'system.attributes.hp.value': newHP });
+  /**
+   * Create the healing roll, using PF2e's DamageRoll with the healing type when available
+   * @param {string} formula - Roll formula (e.g. "3d8+6")
+   * @returns {Roll} The unevaluated roll
+   */
+  static createHealingRoll(formula) {
+    const DamageRoll = this.#DamageRoll;
+    return DamageRoll ? new DamageRoll(`{(${formula})[healing]}`) : new Roll(formula);
+  }
 
-    // Reduce Hit Dice
-    await this.setCurrentHitDice(actor, current - diceCount);
+  /**
+   * Apply Hit Dice healing to an actor.
+   * Uses PF2e's applyDamage with a healing roll, which handles the HP cap,
+   * dying/wounded, healing adjustments and posts PF2e's undo-able result card.
+   * applyDamage needs a token on a scene, so an actor without one is healed
+   * directly (capped at max HP); the Hit Dice card still records the healing.
+   * @param {Actor} actor - The PF2E actor
+   * @param {Roll} roll - The evaluated healing roll
+   * @param {number} healing - Healing to apply (roll total raised to the per-die minimum)
+   * @param {string[]} rollOptions - Roll options for the healing
+   */
+  static async applyHealing(actor, roll, healing, rollOptions) {
+    const token = actor.getActiveTokens(false, true)[0];
+    if (!token) {
+      const hp = actor.system.attributes.hp;
+      await actor.update({ 'system.attributes.hp.value': Math.min(hp.value + healing, hp.max) });
+      return;
+    }
 
-    // Send chat message
-    await this.sendChatMessage(actor, roll, healing, actualHealing, diceCount, current - diceCount);
+    const DamageRoll = this.#DamageRoll;
 
-    return { roll, healing: actualHealing };
+    let damage = -healing;
+    if (DamageRoll && roll instanceof DamageRoll) {
+      // Keep the healing roll; if the per-die minimum or a hook changed the total, roll that total instead
+      damage = healing === roll.total ? roll : await new DamageRoll(`{(${healing})[healing]}`).evaluate();
+    }
+    await actor.applyDamage({ damage, token, rollOptions: new Set(rollOptions) });
   }
 
   /**
@@ -201,12 +889,18 @@ export class HitDiceManager {
    * @param {Roll} roll - The dice roll
    * @param {number} totalHealing - Total healing from roll
    * @param {number} actualHealing - Actual HP healed (may be less if at max)
-   * @param {number} diceSpent - Number of dice spent
-   * @param {number} remaining - Remaining Hit Dice
+   * @param {Object<number, number>} spentPool - Dice spent by size
+   * @param {Object<number, number>} remainingPool - Remaining dice by size
+   * @param {Object} [context] - Roll context
+   * @param {string} [context.formula] - Display formula (defaults to the roll's formula)
+   * @param {Object} [context.undo] - What the roll changed, stored for the revert button
+   * @param {string} [context.breakdown] - Per-die bonus breakdown for display
+   * @param {boolean} [context.rerollOnes] - 1s were rerolled
+   * @param {number} [context.minimumPerDie] - Minimum healing per die that applied
    */
-  static async sendChatMessage(actor, roll, totalHealing, actualHealing, diceSpent, remaining) {
-    const max = this.getMaxHitDice(actor);
-    const dieType = this.getDieType(actor);
+  static async sendChatMessage(actor, roll, totalHealing, actualHealing, spentPool, remainingPool, context = {}) {
+    const maxPool = this.getMaxPool(actor);
+    const diceSpent = this.countPool(spentPool);
 
     const dieWord = diceSpent === 1
       ? game.i18n.localize('HIT_DICE_HEALING.HitDie')
@@ -218,37 +912,94 @@ export class HitDiceManager {
         actorName: actor.name,
         actorImg: actor.img,
         diceSpent,
-        dieType,
+        spentPool: this.formatPool(spentPool),
         dieWord,
-        formula: roll.formula,
+        formula: context.formula ?? roll.formula,
         rollTotal: roll.total,
         healing: actualHealing,
-        remaining,
-        maxDice: max,
-        wasLimited: totalHealing > actualHealing
+        remaining: this.countPool(remainingPool),
+        remainingPool: this.formatPool(remainingPool),
+        maxDice: this.countPool(maxPool),
+        isMixedPool: Object.keys(maxPool).length > 1,
+        wasLimited: totalHealing > actualHealing,
+        minimumApplied: totalHealing > roll.total,
+        minimumPerDie: context.minimumPerDie ?? this.getMinimumPerDie(actor),
+        breakdown: context.breakdown,
+        rerollOnes: context.rerollOnes
       }
     );
 
     await ChatMessage.create({
       speaker: ChatMessage.getSpeaker({ actor }),
       content,
-      rolls: [roll],
-      type: CONST.CHAT_MESSAGE_TYPES.ROLL
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      // The healing is already applied (see applyHealing), so the roll is not attached:
+      // PF2e would add its own apply controls to a damage roll and heal a second time
+      flags: {
+        [MODULE_ID]: context.undo ? { undo: { actorUuid: actor.uuid, ...context.undo } } : {}
+      }
     });
   }
 
   /**
-   * Replenish all Hit Dice (called on Long Rest)
+   * Get the number of Hit Dice a rest recovers: every die, half (minimum 1) or
+   * the recovery formula (with @max and @level), as configured for the world
+   * or overridden for the rest type.
    * @param {Actor} actor - The PF2E actor
+   * @param {'long'|'full'} [restType] - The rest taken
+   * @returns {number} Dice to recover (before capping at the missing dice)
    */
-  static async replenishHitDice(actor) {
+  static getRecoveryAmount(actor, restType) {
     const max = this.getMaxHitDice(actor);
-    const current = this.getCurrentHitDice(actor);
+    const override = restType ? game.settings.get(MODULE_ID, `${restType}RestRecovery`) : 'default';
+    const mode = override === 'default' ? game.settings.get(MODULE_ID, 'recoveryMode') : override;
+
+    switch (mode) {
+      case 'half':
+        return Math.max(1, Math.floor(max / 2));
+      case 'formula': {
+        const level = actor.system?.details?.level?.value ?? 1;
+        const formula = game.settings.get(MODULE_ID, 'recoveryFormula');
+        return Math.max(0, this.evaluateFormula(formula, { level, max }, max));
+      }
+      default:
+        return max;
+    }
+  }
+
+  /**
+   * Replenish Hit Dice (called on Long Rest).
+   * Restores every missing die, or only the given number (largest dice first).
+   * @param {Actor} actor - The PF2E actor
+   * @param {string} [reason] - Ledger reason (see LEDGER_REASONS)
+   * @param {number} [amount] - Number of dice to restore (defaults to all missing dice)
+   * @returns {Promise<{replenished: number, total: number}>}
+   */
+  static async replenishHitDice(actor, reason = 'replenish', amount = Infinity) {
+    const maxPool = this.getMaxPool(actor);
+    const max = this.countPool(maxPool);
+    const currentPool = this.getCurrentPool(actor);
+    const current = this.countPool(currentPool);
+
+    // Other modules may change the amount or cancel the replenish
+    const data = { amount, reason };
+    if (Hooks.call(HOOKS.preReplenish, actor, data) === false) return { replenished: 0, total: max };
+    const count = Math.min(max - current, Math.max(0, Math.floor(data.amount)));
 
     // Only notify if actually replenishing
-    if (current < max) {
-      await this.setCurrentHitDice(actor, max);
-      return { replenished: max - current, total: max };
+    if (count > 0) {
+      const missing = {};
+      for (const [size, total] of Object.entries(maxPool)) {
+        missing[size] = Math.max(0, total - (currentPool[size] ?? 0));
+      }
+      const restored = this.#takeFromPool(missing, count, 'largest');
+      const pool = { ...currentPool };
+      for (const [size, dice] of Object.entries(restored)) {
+        pool[size] = (pool[size] ?? 0) + dice;
+      }
+      await this.setCurrentPool(actor, pool, reason);
+      Hooks.callAll(HOOKS.replenish, actor, { replenished: count, total: max, reason });
+      return { replenished: count, total: max };
     }
 
     return { replenished: 0, total: max };
@@ -269,7 +1020,20 @@ export class HitDiceManager {
   }
 
   /**
-   * Get all depleted spellslots (where value < max) for an actor
+   * Check if a spellcasting entry tracks expended spells individually.
+   * Prepared entries do; flexible prepared and spontaneous entries track slot values per rank.
+   * @param {Item} entry - The spellcasting entry
+   * @returns {boolean} True if the entry's prepared spells are expended individually
+   */
+  static usesPreparedSpells(entry) {
+    const prepared = entry.system?.prepared;
+    return prepared?.value === 'prepared' && !prepared.flexible;
+  }
+
+  /**
+   * Get all depleted spellslots for an actor.
+   * Spontaneous (and flexible) entries list one row per rank where value < max;
+   * prepared entries list one row per expended prepared spell. Cantrips are never listed.
    * @param {Actor} actor - The PF2E actor
    * @returns {Array} Array of depleted slot objects
    */
@@ -285,18 +1049,33 @@ export class HitDiceManager {
       const entryName = entry.name;
       const entryId = entry.id;
       const slots = entry.system?.slots;
+      const prepared = this.usesPreparedSpells(entry);
 
       if (!slots) continue;
 
-      // Check each slot level (slot1 through slot10)
+      // Check each slot level (slot1 through slot10, slot0 holds cantrips)
       for (let level = 1; level <= 10; level++) {
         const slotKey = `slot${level}`;
         const slotData = slots[slotKey];
 
         if (!slotData || slotData.max === 0) continue;
 
-        // Only add if depleted (value < max)
-        if (slotData.value < slotData.max) {
+        if (prepared) {
+          // One row per expended spell, so the specific spell can be restored
+          const preparedSpells = Object.values(slotData.prepared ?? {});
+          preparedSpells.forEach((slot, spellIndex) => {
+            if (!slot?.id || !slot.expended) return;
+            depletedSlots.push({
+              entryId,
+              entryName,
+              level,
+              prepared: true,
+              spellIndex,
+              spellName: actor.items.get(slot.id)?.name ?? game.i18n.localize('HIT_DICE_HEALING.UnknownSpell')
+            });
+          });
+        } else if (slotData.value < slotData.max) {
+          // Only add if depleted (value < max)
           depletedSlots.push({
             entryId,
             entryName,
@@ -313,76 +1092,493 @@ export class HitDiceManager {
   }
 
   /**
-   * Restore a single spellslot by spending Hit Dice
-   * Cost: Slot Level = Hit Dice required (e.g., Level 5 slot = 5 Hit Dice)
+   * Count the spellslots an actor could regain (expended prepared spells count one each)
+   * @param {Actor} actor - The PF2E actor
+   * @returns {number} Number of depleted spellslots
+   */
+  static countDepletedSpellslots(actor) {
+    if (!this.isSpellcaster(actor)) return 0;
+    return this.getDepletedSpellslots(actor)
+      .reduce((sum, slot) => sum + (slot.prepared ? 1 : slot.max - slot.current), 0);
+  }
+
+  /**
+   * Restore a single spellslot by spending Hit Dice (see restoreSpellslots).
+   * For prepared entries this un-expends the prepared spell at spellIndex.
    * @param {Actor} actor - The PF2E actor
    * @param {string} entryId - The spellcasting entry ID
    * @param {number} slotLevel - The slot level to restore (1-10)
+   * @param {number|null} [spellIndex=null] - Index of the expended spell (prepared entries)
    * @returns {Promise<boolean>} Success status
    */
-  static async restoreSpellslot(actor, entryId, slotLevel) {
-    const hitDiceCost = slotLevel; // Cost equals slot level
-    const current = this.getCurrentHitDice(actor);
+  static async restoreSpellslot(actor, entryId, slotLevel, spellIndex = null) {
+    return await this.restoreSpellslots(actor, [{ entryId, slotLevel, spellIndex }]) > 0;
+  }
 
-    // Validate Hit Dice
-    if (hitDiceCost > current) {
+  /**
+   * Restore several spellslots at once by spending Hit Dice: one batched item update,
+   * one Hit Dice deduction and one summary chat card. Slots that are already full
+   * or cancelled by a preRestoreSlot listener are skipped.
+   * Cost: configurable slot cost formula per slot (default: Slot Level = Hit Dice required).
+   * The batch is checked against the available Hit Dice before any preRestoreSlot hook
+   * runs; a slot whose cost a listener raises beyond the dice left is skipped.
+   * @param {Actor} actor - The PF2E actor
+   * @param {Array<{entryId: string, slotLevel: number, spellIndex?: number|null}>} restorations - Slots to restore
+   * @returns {Promise<number>} Number of slots restored
+   */
+  static async restoreSpellslots(actor, restorations) {
+    if (!restorations?.length) return 0;
+    if (!await this.checkCombat(actor)) return 0;
+
+    // Collect the slots that can be restored, without touching anything yet
+    const candidates = [];
+    const counts = {}; // Restores queued per entry and slot path
+    for (const { entryId, slotLevel, spellIndex = null } of restorations) {
+      const entry = actor.items.get(entryId);
+      const slotKey = `slot${slotLevel}`;
+      const slotData = entry?.system.slots?.[slotKey];
+      if (!slotData) continue;
+
+      const prepared = this.usesPreparedSpells(entry);
+      const path = prepared
+        ? `system.slots.${slotKey}.prepared.${spellIndex}.expended`
+        : `system.slots.${slotKey}.value`;
+      const queued = counts[`${entryId}.${path}`] ?? 0;
+      let spellName = null;
+
+      if (prepared) {
+        const preparedSlot = Object.values(slotData.prepared ?? {})[spellIndex];
+        if (!preparedSlot?.id || !preparedSlot.expended || queued) continue;
+        spellName = actor.items.get(preparedSlot.id)?.name ?? null;
+      } else if (slotData.value + queued >= slotData.max) {
+        continue;
+      }
+      counts[`${entryId}.${path}`] = queued + 1;
+
+      candidates.push({
+        entry, path, prepared, spellName,
+        slotRestore: { entryId, slotLevel, spellIndex: prepared ? spellIndex : null, cost: this.getSlotCost(actor, slotLevel) }
+      });
+    }
+
+    if (!candidates.length) {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.SlotAlreadyFull'));
+      return 0;
+    }
+
+    const current = this.getCurrentHitDice(actor);
+    const baseCost = candidates.reduce((sum, { slotRestore }) => sum + Math.max(0, Math.floor(Number(slotRestore.cost) || 0)), 0);
+    if (baseCost > current) {
       ui.notifications.warn(game.i18n.format('HIT_DICE_HEALING.NotEnoughDiceForSlot', {
-        cost: hitDiceCost,
+        cost: baseCost,
         current: current
       }));
-      return false;
+      return 0;
+    }
+
+    const updates = new Map(); // Item updates by entry ID
+    const restored = [];
+    const undoSlots = [];
+    let totalCost = 0;
+
+    for (const { entry, path, prepared, spellName, slotRestore } of candidates) {
+      // Other modules may change the cost or cancel each restore
+      if (Hooks.call(HOOKS.preRestoreSlot, actor, slotRestore) === false) continue;
+      const cost = Math.max(0, Math.floor(Number(slotRestore.cost) || 0));
+      if (totalCost + cost > current) continue;
+
+      // Prepared spells are expended again on revert; slot counts give back what was restored
+      const undoSlot = undoSlots.find(slot => slot.entryId === entry.id && slot.path === path);
+      if (prepared) undoSlots.push({ entryId: entry.id, path, value: true });
+      else if (undoSlot) undoSlot.delta--;
+      else undoSlots.push({ entryId: entry.id, path, delta: -1 });
+
+      const update = updates.get(entry.id) ?? { _id: entry.id };
+      update[path] = prepared ? false : (update[path] ?? foundry.utils.getProperty(entry, path)) + 1;
+      updates.set(entry.id, update);
+      restored.push({ ...slotRestore, cost, entryName: entry.name, spellName });
+      totalCost += cost;
+    }
+
+    if (!restored.length) return 0;
+
+    const poolBefore = this.getCurrentPool(actor);
+
+    await actor.updateEmbeddedDocuments('Item', [...updates.values()]);
+    await this.setCurrentHitDice(actor, current - totalCost, 'spellslot');
+
+    await this.sendSpellslotSummaryMessage(actor, restored, totalCost, current - totalCost, {
+      action: 'spellslots',
+      spent: this.#poolSpent(poolBefore, this.getCurrentPool(actor)),
+      slots: undoSlots
+    });
+
+    for (const { entryId, slotLevel, spellIndex, cost } of restored) {
+      Hooks.callAll(HOOKS.restoreSlot, actor, { entryId, slotLevel, spellIndex, cost });
+    }
+    return restored.length;
+  }
+
+  /**
+   * Send a single chat message summarizing a batch of restored spellslots
+   * @param {Actor} actor - The actor
+   * @param {Array<{slotLevel: number, entryName: string, spellName: string|null, cost: number}>} restored - Restored slots
+   * @param {number} hitDiceSpent - Hit Dice spent in total
+   * @param {number} remaining - Remaining Hit Dice
+   * @param {Object} [undo] - What the restore changed, stored for the revert button
+   */
+  static async sendSpellslotSummaryMessage(actor, restored, hitDiceSpent, remaining, undo) {
+    const lines = restored.map(({ slotLevel, entryName, spellName, cost }) => {
+      const key = spellName ? 'HIT_DICE_HEALING.SpellslotSummaryPrepared' : 'HIT_DICE_HEALING.SpellslotSummarySlot';
+      return `<li>${game.i18n.format(key, {
+        spell: spellName ? foundry.utils.escapeHTML(spellName) : '',
+        level: slotLevel,
+        entry: entryName,
+        cost
+      })}</li>`;
+    });
+    const content = game.i18n.format('HIT_DICE_HEALING.SpellslotsRestoredDesc', {
+      name: `<strong>${actor.name}</strong>`,
+      count: restored.length,
+      cost: hitDiceSpent
+    }) + `<ul class="hit-dice-slot-summary">${lines.join('')}</ul>`;
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content,
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      flags: {
+        [MODULE_ID]: undo ? { undo: { actorUuid: actor.uuid, ...undo } } : {}
+      }
+    });
+  }
+
+  // ============================================================================
+  // RESOURCE RECOVERY METHODS
+  // ============================================================================
+
+  /**
+   * Cost formula setting for each recoverable resource
+   */
+  static RESOURCE_COST_SETTINGS = {
+    focus: 'focusCostFormula',
+    wand: 'wandCostFormula',
+    staff: 'staffCostFormula'
+  };
+
+  /**
+   * Get the Hit Dice cost to recover one use of a resource
+   * @param {Actor} actor - The PF2E actor
+   * @param {'focus'|'wand'|'staff'} resource - The resource type
+   * @param {number} [rank=1] - Spell rank (wands)
+   * @returns {number} Hit Dice required
+   */
+  static getResourceCost(actor, resource, rank = 1) {
+    const level = actor.system?.details?.level?.value ?? 1;
+    const formula = game.settings.get(MODULE_ID, this.RESOURCE_COST_SETTINGS[resource]);
+    return Math.max(0, this.evaluateFormula(formula, { level, rank }, rank));
+  }
+
+  /**
+   * Get the staff charges tracked on a spellcasting entry.
+   * Staves are prepared through PF2e Dailies, which stores their charges on the entry.
+   * @param {Item} entry - The spellcasting entry
+   * @returns {{value: number, max: number}|null}
+   */
+  static #getStaffCharges(entry) {
+    const charges = entry.flags?.['pf2e-dailies']?.staff?.charges;
+    return Number.isFinite(charges?.max) ? charges : null;
+  }
+
+  /**
+   * Get the resources an actor can recover with Hit Dice
+   * @param {Actor} actor - The PF2E actor
+   * @returns {{focus: Object|null, wands: Object[], staves: Object[]}}
+   */
+  static getRecoverableResources(actor) {
+    const focusPool = actor.system.resources?.focus;
+    const focus = focusPool?.max > 0
+      ? { value: focusPool.value, max: focusPool.max, cost: this.getResourceCost(actor, 'focus') }
+      : null;
+
+    const wands = actor.items
+      .filter(item => item.type === 'consumable' && item.system?.consumableType?.value === 'wand')
+      .filter(item => item.system?.frequency?.max > 0)
+      .map(item => {
+        const rank = item.embeddedSpell?.rank ?? Math.max(1, Math.ceil((item.level ?? 1) / 2));
+        return {
+          id: item.id,
+          name: item.name,
+          rank,
+          value: item.system.frequency.value,
+          max: item.system.frequency.max,
+          cost: this.getResourceCost(actor, 'wand', rank)
+        };
+      });
+
+    const staves = actor.items.filter(item => item.type === 'spellcastingEntry')
+      .map(entry => ({ entry, charges: this.#getStaffCharges(entry) }))
+      .filter(({ charges }) => charges)
+      .map(({ entry, charges }) => ({
+        id: entry.id,
+        name: entry.name,
+        value: charges.value,
+        max: charges.max,
+        cost: this.getResourceCost(actor, 'staff')
+      }));
+
+    return { focus, wands, staves };
+  }
+
+  /**
+   * Check if an actor has any resource the modal's resource tab can recover
+   * @param {Actor} actor - The PF2E actor
+   * @returns {boolean}
+   */
+  static hasRecoverableResources(actor) {
+    const { focus, wands, staves } = this.getRecoverableResources(actor);
+    return !!focus || wands.length > 0 || staves.length > 0;
+  }
+
+  /**
+   * Recover one focus point, wand use or staff charge by spending Hit Dice
+   * @param {Actor} actor - The PF2E actor
+   * @param {'focus'|'wand'|'staff'} resource - The resource type
+   * @param {string|null} [id=null] - The wand item or staff spellcasting entry ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async recoverResource(actor, resource, id = null) {
+    if (!await this.checkCombat(actor)) return false;
+
+    // Resolve the document, the updated path and its current/max values
+    let document;
+    let path;
+    let name;
+    let rank = 1;
+    let value;
+    let max;
+    if (resource === 'focus') {
+      const focus = actor.system.resources?.focus;
+      document = actor;
+      path = 'system.resources.focus.value';
+      name = game.i18n.localize('HIT_DICE_HEALING.FocusPoint');
+      ({ value, max } = focus ?? {});
+    } else if (resource === 'wand') {
+      document = actor.items.get(id);
+      const wand = this.getRecoverableResources(actor).wands.find(w => w.id === id);
+      path = 'system.frequency.value';
+      name = document?.name;
+      ({ rank, value, max } = wand ?? {});
+    } else if (resource === 'staff') {
+      document = actor.items.get(id);
+      const charges = document ? this.#getStaffCharges(document) : null;
+      path = 'flags.pf2e-dailies.staff.charges.value';
+      name = document?.name;
+      ({ value, max } = charges ?? {});
     }
 
-    // Find the spellcasting entry
-    const entry = actor.items.get(entryId);
-    if (!entry) {
-      ui.notifications.error('Spellcasting entry not found!');
+    if (!document || !Number.isFinite(max)) {
+      ui.notifications.error(game.i18n.localize('HIT_DICE_HEALING.ResourceNotFound'));
+      return false;
+    }
+    if (value >= max) {
+      ui.notifications.warn(game.i18n.format('HIT_DICE_HEALING.ResourceAlreadyFull', { name }));
       return false;
     }
 
-    const slotKey = `slot${slotLevel}`;
-    const slotData = entry.system.slots[slotKey];
+    // Other modules may change the cost or cancel the recovery
+    const recovery = { resource, id, cost: this.getResourceCost(actor, resource, rank) };
+    if (Hooks.call(HOOKS.preRecoverResource, actor, recovery) === false) return false;
 
-    if (!slotData || slotData.value >= slotData.max) {
-      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.SlotAlreadyFull'));
+    const hitDiceCost = Math.max(0, Math.floor(Number(recovery.cost) || 0));
+    const current = this.getCurrentHitDice(actor);
+
+    if (hitDiceCost > current) {
+      ui.notifications.warn(game.i18n.format('HIT_DICE_HEALING.NotEnoughDiceForSlot', {
+        cost: hitDiceCost,
+        current: current
+      }));
       return false;
     }
 
-    // Restore one slot
-    const newValue = slotData.value + 1;
-    await entry.update({
-      [`system.slots.${slotKey}.value`]: newValue
-    });
+    const poolBefore = this.getCurrentPool(actor);
 
-    // Deduct Hit Dice
-    await this.setCurrentHitDice(actor, current - hitDiceCost);
+    await document.update({ [path]: value + 1 });
+    await this.setCurrentHitDice(actor, current - hitDiceCost, 'resource');
 
-    // Send chat message
-    await this.sendSpellslotChatMessage(actor, entry.name, slotLevel, hitDiceCost, current - hitDiceCost);
+    await this.sendResourceChatMessage(actor, resource, name, hitDiceCost, current - hitDiceCost, {
+      action: 'resource',
+      spent: this.#poolSpent(poolBefore, this.getCurrentPool(actor)),
+      itemId: resource === 'focus' ? null : id,
+      path
+    });
 
+    Hooks.callAll(HOOKS.recoverResource, actor, { resource, id, cost: hitDiceCost });
     return true;
   }
 
   /**
-   * Send a chat message for spellslot restoration
+   * Send a chat message for a recovered focus point, wand use or staff charge
    * @param {Actor} actor - The actor
-   * @param {string} entryName - Name of the spellcasting entry
-   * @param {number} slotLevel - The restored slot level
+   * @param {'focus'|'wand'|'staff'} resource - The resource type
+   * @param {string} name - Name of the recovered resource
    * @param {number} hitDiceSpent - Hit Dice spent
    * @param {number} remaining - Remaining Hit Dice
+   * @param {Object} [undo] - What the recovery changed, stored for the revert button
    */
-  static async sendSpellslotChatMessage(actor, entryName, slotLevel, hitDiceSpent, remaining) {
-    const content = game.i18n.format('HIT_DICE_HEALING.SpellslotRestoredDesc', {
+  static async sendResourceChatMessage(actor, resource, name, hitDiceSpent, remaining, undo) {
+    const keys = {
+      focus: 'HIT_DICE_HEALING.FocusRestoredDesc',
+      wand: 'HIT_DICE_HEALING.WandRestoredDesc',
+      staff: 'HIT_DICE_HEALING.StaffRestoredDesc'
+    };
+    const content = game.i18n.format(keys[resource], {
       name: `<strong>${actor.name}</strong>`,
-      level: slotLevel,
-      entry: entryName,
-      cost: hitDiceSpent
+      item: foundry.utils.escapeHTML(name),
+      cost: hitDiceSpent,
+      remaining
     });
 
     await ChatMessage.create({
       speaker: ChatMessage.getSpeaker({ actor }),
       content,
-      type: CONST.CHAT_MESSAGE_TYPES.OTHER
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      flags: {
+        [MODULE_ID]: undo ? { undo: { actorUuid: actor.uuid, ...undo } } : {}
+      }
+    });
+  }
+
+  // ============================================================================
+  // COMBAT RESTRICTIONS
+  // ============================================================================
+
+  /**
+   * Check if an actor is a combatant in a running encounter
+   * @param {Actor} actor - The PF2E actor
+   * @returns {boolean} True if the actor is in active combat
+   */
+  static isInActiveCombat(actor) {
+    return game.combats.some(combat =>
+      combat.started && combat.combatants.some(combatant => combatant.actor?.id === actor.id)
+    );
+  }
+
+  /**
+   * Check whether Hit Dice may be spent or a rest taken, given the combat restriction setting.
+   * The GM can always confirm an override; players follow the configured mode:
+   * "block", "paused" (only while the game is paused), "gmConfirm" or "allow".
+   * @param {Actor} actor - The PF2E actor
+   * @returns {Promise<boolean>} True if the action may proceed
+   */
+  static async checkCombat(actor) {
+    if (!this.isInActiveCombat(actor)) return true;
+
+    const mode = game.settings.get(MODULE_ID, 'combatRestriction');
+    if (mode === 'allow') return true;
+    if (mode === 'paused' && game.paused) return true;
+
+    if (game.user.isGM) {
+      return this.confirmCombatOverride(actor);
+    }
+
+    if (mode === 'gmConfirm') {
+      const approved = await SocketHandler.request('combatOverride', { actorId: actor.id });
+      if (approved) return true;
+    }
+
+    ui.notifications.warn(game.i18n.format('HIT_DICE_HEALING.BlockedInCombat', { name: actor.name }));
+    return false;
+  }
+
+  /**
+   * Ask the GM to allow a Hit Dice action or rest during combat
+   * @param {Actor} actor - The PF2E actor
+   * @returns {Promise<boolean>} True if the GM allowed it
+   */
+  static async confirmCombatOverride(actor) {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('HIT_DICE_HEALING.CombatOverrideTitle') },
+      content: `<p>${game.i18n.format('HIT_DICE_HEALING.CombatOverridePrompt', { name: actor.name })}</p>`
     });
+    return !!confirmed;
+  }
+
+  // ============================================================================
+  // REVERT METHODS
+  // ============================================================================
+
+  /**
+   * Check if the current user may revert the action recorded on a chat message.
+   * GMs always may; owners only within the configured revert window.
+   * @param {ChatMessage} message - The Hit Dice chat message
+   * @returns {boolean} True if the revert button should be shown
+   */
+  static canRevert(message) {
+    const undo = message.getFlag(MODULE_ID, 'undo');
+    if (!undo || message.getFlag(MODULE_ID, 'reverted')) return false;
+    if (game.user.isGM) return true;
+
+    const minutes = game.settings.get(MODULE_ID, 'revertWindow');
+    if (!minutes || !message.isAuthor) return false;
+
+    const actor = fromUuidSync(undo.actorUuid);
+    if (!actor?.isOwner) return false;
+
+    return Date.now() - message.timestamp <= minutes * 60 * 1000;
+  }
+
+  /**
+   * Revert the action recorded on a chat message and mark the card as reverted.
+   * Only what the action changed is undone: the spent dice are returned per size and
+   * the healing, restored slots or recovered resource are taken back (clamped), so
+   * changes made to the actor since then are kept.
+   * @param {ChatMessage} message - The Hit Dice chat message
+   * @returns {Promise<boolean>} Success status
+   */
+  static async revertAction(message) {
+    if (!this.canRevert(message)) {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.RevertNotAllowed'));
+      return false;
+    }
+
+    const undo = message.getFlag(MODULE_ID, 'undo');
+    const actor = await fromUuid(undo.actorUuid);
+    if (!actor) {
+      ui.notifications.error(game.i18n.localize('HIT_DICE_HEALING.RevertActorMissing'));
+      return false;
+    }
+
+    if (undo.action === 'roll') {
+      const hp = actor.system.attributes.hp.value;
+      await actor.update({ 'system.attributes.hp.value': Math.max(0, hp - (undo.healed ?? 0)) });
+    } else if (undo.action === 'spellslots') {
+      const updates = new Map();
+      for (const { entryId, path, value, delta } of undo.slots ?? []) {
+        const entry = actor.items.get(entryId);
+        if (!entry) continue;
+        const update = updates.get(entryId) ?? { _id: entryId };
+        update[path] = delta !== undefined
+          ? Math.max(0, (foundry.utils.getProperty(entry, path) ?? 0) + delta)
+          : value;
+        updates.set(entryId, update);
+      }
+      if (updates.size) await actor.updateEmbeddedDocuments('Item', [...updates.values()]);
+    } else if (undo.action === 'resource') {
+      const document = undo.itemId ? actor.items.get(undo.itemId) : actor;
+      if (document) {
+        const value = foundry.utils.getProperty(document, undo.path) ?? 0;
+        await document.update({ [undo.path]: Math.max(0, value - 1) });
+      }
+    }
+
+    // Give back the dice this action spent (setCurrentPool clamps to the maximum)
+    const pool = this.getCurrentPool(actor);
+    for (const [size, count] of Object.entries(undo.spent ?? {})) {
+      pool[size] = (pool[size] ?? 0) + count;
+    }
+    await this.setCurrentPool(actor, pool, 'revert');
+    await message.setFlag(MODULE_ID, 'reverted', true);
+    return true;
   }
 }
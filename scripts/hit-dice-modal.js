@@ -10,7 +10,6 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 export class HitDiceModal extends HandlebarsApplicationMixin(ApplicationV2) {
 
   static DEFAULT_OPTIONS = {
-    id: 'hit-dice-modal',
     classes: ['hit-dice-healing', 'hit-dice-modal'],
     tag: 'div',
     window: {
@@ -27,7 +26,10 @@ export class HitDiceModal extends HandlebarsApplicationMixin(ApplicationV2) {
       decrement: HitDiceModal.#onDecrement,
       roll: HitDiceModal.#onRoll,
       switchTab: HitDiceModal.#onSwitchTab,
-      restoreSlot: HitDiceModal.#onRestoreSlot
+      queueSlot: HitDiceModal.#onQueueSlot,
+      unqueueSlot: HitDiceModal.#onUnqueueSlot,
+      restoreQueued: HitDiceModal.#onRestoreQueued,
+      recoverResource: HitDiceModal.#onRecoverResource
     }
   };
 
@@ -41,64 +43,154 @@ export class HitDiceModal extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {Actor} actor - The actor to roll Hit Dice for
    */
   constructor(actor) {
-    super();
+    // One modal per actor, so several characters' modals can be open side by side
+    super({ id: `hit-dice-modal-${actor.id}` });
     this.actor = actor;
-    this.diceToRoll = 1;
+    this.selection = {}; // Dice to roll by size, e.g. { 8: 2, 10: 1 }
     this._activeTab = 'healing'; // Default tab
+    this.slotCart = []; // Queued spellslot restorations, e.g. [{ entryId, slotLevel, spellIndex }]
+  }
+
+  /**
+   * Open an actor's Hit Dice modal, bringing an already open one to the front
+   * instead of creating a second window with the same ID
+   * @param {Actor} actor - The actor to roll Hit Dice for
+   * @returns {Promise<HitDiceModal>} The rendered modal
+   */
+  static open(actor) {
+    const modal = foundry.applications.instances.get(`hit-dice-modal-${actor.id}`) ?? new HitDiceModal(actor);
+    return modal.render({ force: true });
+  }
+
+  /**
+   * Window title including the actor name
+   */
+  get title() {
+    return `${game.i18n.localize('HIT_DICE_HEALING.HitDice')}: ${this.actor.name}`;
   }
 
   /**
    * Prepare context data for the template
    */
   async _prepareContext() {
-    const current = HitDiceManager.getCurrentHitDice(this.actor);
-    const max = HitDiceManager.getMaxHitDice(this.actor);
-    const dieType = HitDiceManager.getDieType(this.actor);
-    const conMod = HitDiceManager.getConModifier(this.actor);
-
-    // Clamp diceToRoll to available dice
-    if (this.diceToRoll > current) {
-      this.diceToRoll = Math.max(1, current);
+    const currentPool = HitDiceManager.getCurrentPool(this.actor);
+    const maxPool = HitDiceManager.getMaxPool(this.actor);
+    const current = HitDiceManager.countPool(currentPool);
+    const max = HitDiceManager.countPool(maxPool);
+    const bonusMod = HitDiceManager.getBonusModifier(this.actor);
+
+    // Clamp the selection to available dice
+    for (const size of Object.keys(this.selection)) {
+      this.selection[size] = Math.min(this.selection[size], currentPool[size] ?? 0);
+    }
+
+    // Default to one of the largest available dice
+    if (HitDiceManager.countPool(this.selection) === 0) {
+      const largest = Object.keys(currentPool)
+        .map(Number)
+        .filter(size => currentPool[size] > 0)
+        .sort((a, b) => b - a)[0];
+      if (largest) this.selection = { [largest]: 1 };
     }
 
-    const range = HitDiceManager.calculateRange(this.diceToRoll, dieType, conMod);
-    const formula = HitDiceManager.buildFormula(this.diceToRoll, dieType, conMod);
+    const diceToRoll = HitDiceManager.countPool(this.selection);
+    const rerollOnes = HitDiceManager.hasRerollOnes(this.actor);
+    const range = HitDiceManager.calculateRange(this.selection, bonusMod, HitDiceManager.getMinimumPerDie(this.actor));
+    const formula = HitDiceManager.buildFormula(this.selection, bonusMod, { rerollOnes });
+
+    // One selector per die size, largest first
+    const dice = Object.keys(maxPool)
+      .map(Number)
+      .sort((a, b) => b - a)
+      .map(size => ({
+        size,
+        available: currentPool[size] ?? 0,
+        max: maxPool[size],
+        selected: this.selection[size] ?? 0,
+        canIncrement: (this.selection[size] ?? 0) < (currentPool[size] ?? 0),
+        canDecrement: (this.selection[size] ?? 0) > 0 && diceToRoll > 1
+      }));
 
     // Spellcaster data
     const isSpellcaster = HitDiceManager.isSpellcaster(this.actor);
     let depletedSlots = [];
+    let cartCost = 0;
 
     if (isSpellcaster) {
       depletedSlots = HitDiceManager.getDepletedSpellslots(this.actor).map(slot => ({
         ...slot,
-        canAfford: current >= slot.level
+        cost: HitDiceManager.getSlotCost(this.actor, slot.level),
+        capacity: slot.prepared ? 1 : slot.max - slot.current,
+        queued: 0
       }));
+
+      // Drop queued restorations the slots can no longer take
+      this.slotCart = this.slotCart.filter(item => {
+        const slot = depletedSlots.find(s => this.#matchesSlot(item, s));
+        if (!slot || slot.queued >= slot.capacity) return false;
+        slot.queued++;
+        cartCost += slot.cost;
+        return true;
+      });
+
+      for (const slot of depletedSlots) {
+        slot.canQueue = slot.queued < slot.capacity && cartCost + slot.cost <= current;
+        slot.canUnqueue = slot.queued > 0;
+      }
     }
 
-    // Tab state (default to healing for non-spellcasters)
-    const activeTab = isSpellcaster ? this._activeTab : 'healing';
+    // Focus points, wands and staves
+    const hasResources = HitDiceManager.hasRecoverableResources(this.actor);
+    const resources = [];
+    if (hasResources) {
+      const { focus, wands, staves } = HitDiceManager.getRecoverableResources(this.actor);
+      if (focus) {
+        resources.push({ resource: 'focus', icon: 'fas fa-eye', name: game.i18n.localize('HIT_DICE_HEALING.FocusPoints'), ...focus });
+      }
+      for (const wand of wands) resources.push({ resource: 'wand', icon: 'fas fa-wand-magic', ...wand });
+      for (const staff of staves) resources.push({ resource: 'staff', icon: 'fas fa-staff-snake', ...staff });
+      for (const resource of resources) {
+        resource.isFull = resource.value >= resource.max;
+        resource.canAfford = current >= resource.cost;
+      }
+    }
+
+    // Tab state (fall back to healing if the active tab is not shown)
+    const tabs = { healing: true, spells: isSpellcaster, resources: hasResources };
+    const activeTab = tabs[this._activeTab] ? this._activeTab : 'healing';
 
     return {
       actor: this.actor,
       actorName: this.actor.name,
       current,
       max,
-      dieType,
-      conMod,
-      diceToRoll: this.diceToRoll,
+      currentPool: HitDiceManager.formatPool(currentPool),
+      isMixedPool: dice.length > 1,
+      dice,
+      bonusMod,
+      breakdown: HitDiceManager.formatModifiers(HitDiceManager.getBonusBreakdown(this.actor)),
+      rerollOnes,
+      diceToRoll,
       formula,
       rangeMin: range.min,
       rangeMax: range.max,
-      canIncrement: this.diceToRoll < current,
-      canDecrement: this.diceToRoll > 1,
-      canRoll: current > 0,
+      canRoll: diceToRoll > 0,
       hasNoDice: current === 0,
       // Spellcaster data
       isSpellcaster,
       depletedSlots,
+      cartCount: this.slotCart.length,
+      cartCost,
+      cartAffordable: cartCost <= current,
+      canRestoreQueued: this.slotCart.length > 0 && cartCost <= current,
+      // Resource data
+      hasResources,
+      resources,
       // Tab state
+      showTabs: isSpellcaster || hasResources,
       healingTabActive: activeTab === 'healing',
-      spellsTabActive: activeTab === 'spells'
+      spellsTabActive: activeTab === 'spells',
+      resourcesTabActive: activeTab === 'resources'
     };
   }
 
@@ -106,9 +198,11 @@ export class HitDiceModal extends HandlebarsApplicationMixin(ApplicationV2) {
    * Handle increment button click
    */
   static #onIncrement(event, target) {
-    const current = HitDiceManager.getCurrentHitDice(this.actor);
-    if (this.diceToRoll < current) {
-      this.diceToRoll++;
+    const size = Number(target.dataset.die);
+    const available = HitDiceManager.getCurrentPool(this.actor)[size] ?? 0;
+    const selected = this.selection[size] ?? 0;
+    if (selected < available) {
+      this.selection[size] = selected + 1;
       this.render();
     }
   }
@@ -117,8 +211,11 @@ export class HitDiceModal extends HandlebarsApplicationMixin(ApplicationV2) {
    * Handle decrement button click
    */
   static #onDecrement(event, target) {
-    if (this.diceToRoll > 1) {
-      this.diceToRoll--;
+    const size = Number(target.dataset.die);
+    const selected = this.selection[size] ?? 0;
+    // Always keep at least one die selected
+    if (selected > 0 && HitDiceManager.countPool(this.selection) > 1) {
+      this.selection[size] = selected - 1;
       this.render();
     }
   }
@@ -127,11 +224,11 @@ export class HitDiceModal extends HandlebarsApplicationMixin(ApplicationV2) {
    * Handle roll button click
    */
   static async #onRoll(event, target) {
-    const result = await HitDiceManager.rollAndHeal(this.actor, this.diceToRoll);
+    const result = await HitDiceManager.rollAndHeal(this.actor, { ...this.selection });
 
     if (result) {
-      // Reset to 1 die for next roll
-      this.diceToRoll = 1;
+      // Reset to the default selection for next roll
+      this.selection = {};
       // Re-render to show updated values
       this.render();
     }
@@ -142,25 +239,85 @@ export class HitDiceModal extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   static #onSwitchTab(event, target) {
     const tab = target.dataset.tab;
-    if (tab && ['healing', 'spells'].includes(tab)) {
+    if (tab && ['healing', 'spells', 'resources'].includes(tab)) {
       this._activeTab = tab;
       this.render();
     }
   }
 
   /**
-   * Handle spellslot restore button click
+   * Check if a queued restoration targets a depleted slot row
+   * @param {{entryId: string, slotLevel: number, spellIndex: number|null}} item - Queued restoration
+   * @param {Object} slot - Depleted slot row (see HitDiceManager.getDepletedSpellslots)
+   * @returns {boolean}
+   */
+  #matchesSlot(item, slot) {
+    return item.entryId === slot.entryId
+      && item.slotLevel === slot.level
+      && item.spellIndex === (slot.prepared ? slot.spellIndex : null);
+  }
+
+  /**
+   * Read the slot a queue button refers to
+   * @param {HTMLElement} target - The clicked button
+   * @returns {{entryId: string, slotLevel: number, spellIndex: number|null}|null}
    */
-  static async #onRestoreSlot(event, target) {
+  static #readSlot(target) {
     const entryId = target.dataset.entry;
     const slotLevel = parseInt(target.dataset.level, 10);
+    const spellIndex = target.dataset.index !== undefined ? parseInt(target.dataset.index, 10) : null;
 
     if (!entryId || isNaN(slotLevel)) {
       console.error('Hit Dice Healing | Invalid restore slot data', { entryId, slotLevel });
-      return;
+      return null;
     }
+    return { entryId, slotLevel, spellIndex };
+  }
+
+  /**
+   * Handle queue slot button click
+   */
+  static #onQueueSlot(event, target) {
+    const slot = HitDiceModal.#readSlot(target);
+    if (!slot) return;
+    this.slotCart.push(slot);
+    this.render();
+  }
+
+  /**
+   * Handle unqueue slot button click
+   */
+  static #onUnqueueSlot(event, target) {
+    const slot = HitDiceModal.#readSlot(target);
+    if (!slot) return;
+    const index = this.slotCart.findLastIndex(item =>
+      item.entryId === slot.entryId && item.slotLevel === slot.slotLevel && item.spellIndex === slot.spellIndex
+    );
+    if (index >= 0) {
+      this.slotCart.splice(index, 1);
+      this.render();
+    }
+  }
 
-    const success = await HitDiceManager.restoreSpellslot(this.actor, entryId, slotLevel);
+  /**
+   * Handle restore queued slots button click
+   */
+  static async #onRestoreQueued(event, target) {
+    const restored = await HitDiceManager.restoreSpellslots(this.actor, this.slotCart);
+
+    if (restored) {
+      this.slotCart = [];
+      // Re-render to show updated values
+      this.render();
+    }
+  }
+
+  /**
+   * Handle focus point, wand or staff recover button click
+   */
+  static async #onRecoverResource(event, target) {
+    const { resource, id } = target.dataset;
+    const success = await HitDiceManager.recoverResource(this.actor, resource, id || null);
 
     if (success) {
       // Re-render to show updated values
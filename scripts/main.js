@@ -4,11 +4,18 @@
  * with Gritfinder's three-tier rest system (Short / Long / Full).
  */
 
+import { api } from './api.js';
+import { ChatCommands } from './chat-commands.js';
+import { MODULE_ID } from './constants.js';
 import { HitDiceManager } from './hit-dice-manager.js';
+import { HitDiceLedger } from './hit-dice-ledger.js';
 import { HitDiceModal } from './hit-dice-modal.js';
+import { MigrationManager } from './migrations.js';
+import { PartyRestDashboard } from './party-rest-dashboard.js';
 import { RestManager } from './rest-manager.js';
-
-const MODULE_ID = 'hit-dice-healing';
+import { SafeRestRegionBehavior } from './safe-rest-region.js';
+import { registerSettings } from './settings.js';
+import { SocketHandler } from './socket.js';
 
 // ============================================================================
 // Initialization
@@ -16,81 +23,33 @@ const MODULE_ID = 'hit-dice-healing';
 
 Hooks.once('init', () => {
   console.log('Hit Dice Healing | Initializing module');
+  registerSettings();
+  registerKeybindings();
+  SafeRestRegionBehavior.register();
+
+  // Expose the API early, so other modules can use it from their own init/setup hooks
+  game.modules.get(MODULE_ID).api = api;
+  globalThis.HitDiceHealing = api;
 });
 
 Hooks.once('ready', () => {
   console.log('Hit Dice Healing | Module ready');
 
-  // Expose global API for macro use
-  globalThis.HitDiceHealing = {
-    /**
-     * Open the Hit Dice modal for an actor
-     * @param {Actor} actor - The actor (defaults to selected token's actor)
-     */
-    open: (actor) => {
-      if (!actor) {
-        const token = canvas.tokens.controlled[0];
-        actor = token?.actor;
-      }
-      if (!actor || actor.type !== 'character') {
-        ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.SelectCharacter'));
-        return;
-      }
-      new HitDiceModal(actor).render(true);
-    },
-
-    /**
-     * Get Hit Dice info for an actor
-     * @param {Actor} actor - The actor
-     * @returns {Object} Hit Dice info
-     */
-    getInfo: (actor) => {
-      return {
-        current: HitDiceManager.getCurrentHitDice(actor),
-        max: HitDiceManager.getMaxHitDice(actor),
-        dieType: HitDiceManager.getDieType(actor),
-        conMod: HitDiceManager.getConModifier(actor)
-      };
-    },
-
-    /**
-     * Replenish Hit Dice for an actor (GM only)
-     * @param {Actor} actor - The actor
-     */
-    replenish: async (actor) => {
-      if (!game.user.isGM) {
-        ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.GMOnly'));
-        return;
-      }
-      const result = await HitDiceManager.replenishHitDice(actor);
-      ui.notifications.info(game.i18n.format('HIT_DICE_HEALING.Replenished', {
-        name: actor.name,
-        count: result.replenished,
-        current: result.total,
-        max: result.total
-      }));
-    },
-
-    /**
-     * Open the rest dialog for an actor
-     * @param {Actor} actor - The actor (defaults to selected token's actor)
-     */
-    rest: (actor) => {
-      if (!actor) {
-        const token = canvas.tokens.controlled[0];
-        actor = token?.actor;
-      }
-      if (!actor || actor.type !== 'character') {
-        ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.SelectCharacter'));
-        return;
-      }
-      RestManager.showRestDialog(actor);
-    },
+  // Socket messages from other clients
+  SocketHandler.initialize();
+  SocketHandler.register('shortRest', ({ actorIds }) => RestManager.openShortRestFor(actorIds));
+  SocketHandler.register('restRequest', (payload, userId) => RestManager.handleRestRequest(payload, userId));
+  SocketHandler.register('combatOverride', ({ actorId }) => {
+    const actor = game.actors.get(actorId);
+    return actor ? HitDiceManager.confirmCombatOverride(actor) : false;
+  });
+  SocketHandler.register('encounterInterrupt', (data) => RestManager.confirmInterrupt(data));
+  SocketHandler.register('advanceTime', (payload, userId) => RestManager.handleAdvanceTime(payload, userId));
 
-    // Expose managers for advanced use
-    manager: HitDiceManager,
-    restManager: RestManager
-  };
+  // Upgrade stored actor data (active GM only, once per schema version)
+  MigrationManager.migrateWorld().catch(err => {
+    console.error('Hit Dice Healing | Migration failed', err);
+  });
 
   // Notify on load (GM only)
   if (game.user.isGM) {
@@ -98,6 +57,118 @@ Hooks.once('ready', () => {
   }
 });
 
+// ============================================================================
+// Keybindings and Token HUD
+// ============================================================================
+
+/**
+ * Register the configurable keybindings for the controlled token's character.
+ */
+function registerKeybindings() {
+  game.keybindings.register(MODULE_ID, 'openHitDice', {
+    name: 'HIT_DICE_HEALING.KeybindingOpenHitDice',
+    hint: 'HIT_DICE_HEALING.KeybindingOpenHitDiceHint',
+    editable: [{ key: 'KeyH', modifiers: ['Shift'] }],
+    onDown: () => {
+      api.open();
+      return true;
+    }
+  });
+
+  game.keybindings.register(MODULE_ID, 'openRestDialog', {
+    name: 'HIT_DICE_HEALING.KeybindingOpenRest',
+    hint: 'HIT_DICE_HEALING.KeybindingOpenRestHint',
+    editable: [{ key: 'KeyR', modifiers: ['Shift'] }],
+    onDown: () => {
+      api.rest();
+      return true;
+    }
+  });
+}
+
+/**
+ * Add a Hit Dice button (current/max) to the HUD of owned character tokens.
+ * Left click opens the Hit Dice modal, right click the rest dialog.
+ */
+Hooks.on('renderTokenHUD', (hud, html) => {
+  const actor = hud.object?.actor;
+  if (!actor || actor.type !== 'character' || !actor.isOwner) return;
+
+  const column = html.querySelector('.col.right');
+  if (!column || column.querySelector('.hit-dice-hud')) return;
+
+  const current = HitDiceManager.getCurrentHitDice(actor);
+  const max = HitDiceManager.getMaxHitDice(actor);
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add('control-icon', 'hit-dice-hud');
+  button.dataset.tooltip = game.i18n.localize('HIT_DICE_HEALING.HudTooltip');
+  button.innerHTML = `<i class="fas fa-dice-d20"></i><span class="hit-dice-hud-count">${current}/${max}</span>`;
+
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    HitDiceModal.open(actor);
+  });
+  button.addEventListener('contextmenu', (event) => {
+    event.preventDefault();
+    RestManager.showRestDialog(actor);
+  });
+
+  column.append(button);
+});
+
+// ============================================================================
+// Party Rest Dashboard
+// ============================================================================
+
+/**
+ * Add a GM button for the party rest dashboard to the token controls.
+ */
+Hooks.on('getSceneControlButtons', (controls) => {
+  if (!game.user.isGM || !controls.tokens) return;
+  controls.tokens.tools.hitDiceParty = {
+    name: 'hitDiceParty',
+    title: 'HIT_DICE_HEALING.DashboardTitle',
+    icon: 'fas fa-campground',
+    button: true,
+    order: Object.keys(controls.tokens.tools).length,
+    onChange: () => PartyRestDashboard.open()
+  };
+});
+
+/**
+ * Re-render the open dashboard when a party member or one of their items changes.
+ * @param {Actor|null} actor - The changed actor
+ */
+function refreshDashboard(actor) {
+  const dashboard = foundry.applications.instances.get('hit-dice-party-dashboard');
+  if (dashboard && actor && PartyRestDashboard.isMember(actor)) {
+    dashboard.render();
+  }
+}
+
+/**
+ * Re-render an actor's open Hit Dice modal
+ * @param {Actor|null} actor - The changed actor
+ */
+function refreshModal(actor) {
+  if (actor) foundry.applications.instances.get(`hit-dice-modal-${actor.id}`)?.render();
+}
+
+/**
+ * Item changes can affect spellslots, wands, staves and Hit Dice modifiers
+ * @param {Actor|null} actor - The item's parent actor
+ */
+function refreshItemViews(actor) {
+  refreshModal(actor);
+  refreshDashboard(actor);
+}
+
+Hooks.on('updateItem', (item) => refreshItemViews(item.parent));
+Hooks.on('createItem', (item) => refreshItemViews(item.parent));
+Hooks.on('deleteItem', (item) => refreshItemViews(item.parent));
+
 // ============================================================================
 // Long Rest Integration (via pf2e.restForTheNight hook)
 // ============================================================================
@@ -110,14 +181,16 @@ Hooks.once('ready', () => {
  */
 Hooks.on('pf2e.restForTheNight', async (actor) => {
   if (actor.type !== 'character') return;
+  // Our own Full Rest recovers Hit Dice itself
+  if (RestManager.isFullResting(actor)) return;
 
-  const result = await HitDiceManager.replenishHitDice(actor);
+  const result = await HitDiceManager.replenishHitDice(actor, 'fullRest', HitDiceManager.getRecoveryAmount(actor, 'full'));
 
   if (result.replenished > 0) {
     ui.notifications.info(game.i18n.format('HIT_DICE_HEALING.Replenished', {
       name: actor.name,
       count: result.replenished,
-      current: result.total,
+      current: HitDiceManager.getCurrentHitDice(actor),
       max: result.total
     }));
   }
@@ -145,7 +218,13 @@ Hooks.on('renderCharacterSheetPF2e', async (sheet, html, data) => {
     {
       actorId: actor.id,
       current,
-      max
+      max,
+      pool: HitDiceManager.formatPool(HitDiceManager.getCurrentPool(actor)),
+      dieType: HitDiceManager.getDieType(actor),
+      classDieType: HitDiceManager.getClassDieType(actor),
+      dieOverride: HitDiceManager.getDieOverride(actor) ?? '',
+      dieChoices: Object.fromEntries(HitDiceManager.DIE_SIZES.map(size => [size, `d${size}`])),
+      isGM: game.user.isGM
     }
   );
 
@@ -190,10 +269,23 @@ Hooks.on('renderCharacterSheetPF2e', async (sheet, html, data) => {
   }
 
   // Add click handler for the Hit Dice button
-  $html.find('.hit-dice-btn').on('click', (event) => {
+  $html.find('.hit-dice-roll-btn').on('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    HitDiceModal.open(actor);
+  });
+
+  // Add click handler for the ledger button
+  $html.find('.hit-dice-ledger-btn').on('click', (event) => {
     event.preventDefault();
     event.stopPropagation();
-    new HitDiceModal(actor).render(true);
+    HitDiceLedger.open(actor);
+  });
+
+  // GM-only per-actor die type override
+  $html.find('.hit-dice-die-override').on('change', async (event) => {
+    const dieType = parseInt(event.currentTarget.value, 10);
+    await HitDiceManager.setDieOverride(actor, Number.isNaN(dieType) ? null : dieType);
   });
 
   // --- Rest Button Interception ---
@@ -213,18 +305,146 @@ Hooks.on('renderCharacterSheetPF2e', async (sheet, html, data) => {
   }
 });
 
+// ============================================================================
+// Chat Card Revert
+// ============================================================================
+
+/**
+ * Add a "Revert" button to Hit Dice and spellslot chat cards,
+ * or mark the card if its action was already reverted.
+ */
+Hooks.on('renderChatMessageHTML', (message, html) => {
+  if (!message.getFlag(MODULE_ID, 'undo')) return;
+  const content = html.querySelector('.message-content');
+  if (!content) return;
+
+  if (message.getFlag(MODULE_ID, 'reverted')) {
+    html.classList.add('hit-dice-reverted');
+    const label = document.createElement('div');
+    label.className = 'hit-dice-reverted-label';
+    label.innerHTML = `<i class="fas fa-rotate-left"></i> ${game.i18n.localize('HIT_DICE_HEALING.Reverted')}`;
+    content.append(label);
+    return;
+  }
+
+  if (!HitDiceManager.canRevert(message)) return;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'hit-dice-revert-btn';
+  button.innerHTML = `<i class="fas fa-rotate-left"></i> ${game.i18n.localize('HIT_DICE_HEALING.Revert')}`;
+  button.addEventListener('click', async (event) => {
+    event.preventDefault();
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('HIT_DICE_HEALING.Revert') },
+      content: `<p>${game.i18n.localize('HIT_DICE_HEALING.RevertConfirm')}</p>`
+    });
+    if (confirmed) await HitDiceManager.revertAction(message);
+  });
+  content.append(button);
+});
+
+// ============================================================================
+// Scene Configuration
+// ============================================================================
+
+/**
+ * Add the module's scene options (safe for Full Rests, encounter check DC)
+ * to the scene configuration. The fields are part of the sheet's form,
+ * so they are saved with the scene.
+ */
+Hooks.on('renderSceneConfig', (app, html) => {
+  const tab = html.querySelector('.tab[data-tab="basics"]');
+  if (!tab || tab.querySelector('.hit-dice-scene-options')) return;
+
+  const i18n = (key) => game.i18n.localize(`HIT_DICE_HEALING.${key}`);
+  const checked = app.document.getFlag(MODULE_ID, 'safeRest') ? 'checked' : '';
+  const dc = app.document.getFlag(MODULE_ID, 'encounterDC') ?? '';
+
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'hit-dice-scene-options';
+  fieldset.innerHTML = `
+    <legend>${i18n('Title')}</legend>
+    <div class="form-group">
+      <label>${i18n('SceneSafeRestName')}</label>
+      <div class="form-fields">
+        <input type="checkbox" name="flags.${MODULE_ID}.safeRest" ${checked} />
+      </div>
+      <p class="hint">${i18n('SceneSafeRestHint')}</p>
+    </div>
+    <div class="form-group">
+      <label>${i18n('SceneEncounterDCName')}</label>
+      <div class="form-fields">
+        <input type="number" name="flags.${MODULE_ID}.encounterDC" value="${dc}" min="1" max="21" step="1" />
+      </div>
+      <p class="hint">${i18n('SceneEncounterDCHint')}</p>
+    </div>`;
+  tab.append(fieldset);
+});
+
+// ============================================================================
+// Chat Commands
+// ============================================================================
+
+/**
+ * Handle /hd and /rest before Foundry parses the message.
+ */
+Hooks.on('chatMessage', (chatLog, message, chatData) => ChatCommands.handle(message));
+
+// ============================================================================
+// Level Changes
+// ============================================================================
+
+/**
+ * Adjust current Hit Dice when a character's level changes.
+ * The state before the update is captured here and applied by the user who made the change.
+ */
+Hooks.on('preUpdateActor', (actor, changes, options) => {
+  HitDiceManager.captureLevelChange(actor, changes, options);
+});
+
+Hooks.on('updateActor', (actor, changes, options, userId) => {
+  const levelChange = options[MODULE_ID]?.levelChange?.[actor.id];
+  if (levelChange && userId === game.user.id) {
+    HitDiceManager.applyLevelChange(actor, levelChange).catch(err => {
+      console.error(`Hit Dice Healing | Could not adjust Hit Dice for ${actor.name}'s level change`, err);
+    });
+  }
+});
+
 // ============================================================================
 // Actor Update Hook (for sheet refresh)
 // ============================================================================
 
 /**
- * When Hit Dice flags are updated, the sheet might need to refresh.
+ * Actor data shown in the Hit Dice modal (besides the module's own flags)
+ */
+const MODAL_PATHS = ['system.attributes.hp', 'system.resources', 'system.details.level', 'system.abilities'];
+
+/**
+ * When Hit Dice flags are updated, the sheet and ledger might need to refresh.
+ * An open Hit Dice modal follows HP, focus, level and Hit Dice changes from any client.
+ * The party dashboard also tracks HP and focus, so it refreshes on any change.
  */
 Hooks.on('updateActor', (actor, changes, options, userId) => {
-  if (changes.flags?.['hit-dice-healing']) {
+  const hitDiceChanged = !!changes.flags?.['hit-dice-healing'];
+  if (hitDiceChanged) {
     const sheet = actor.sheet;
     if (sheet?.rendered) {
       sheet.render(false);
     }
+    foundry.applications.instances.get(`hit-dice-ledger-${actor.id}`)?.render();
+  }
+  if (hitDiceChanged || MODAL_PATHS.some(path => foundry.utils.hasProperty(changes, path))) {
+    refreshModal(actor);
   }
+  refreshDashboard(actor);
+});
+
+/**
+ * Close an actor's Hit Dice windows when the actor is deleted
+ */
+Hooks.on('deleteActor', (actor) => {
+  foundry.applications.instances.get(`hit-dice-modal-${actor.id}`)?.close();
+  foundry.applications.instances.get(`hit-dice-ledger-${actor.id}`)?.close();
 });
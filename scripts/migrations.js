@@ -0,0 +1,200 @@
+/**
+ * Hit Dice Healing - Data Migrations
+ * Upgrades the Hit Dice flags stored on actors to the current schema.
+ *
+ * Actor flag schema (flags.hit-dice-healing), version 2:
+ *   schemaVersion: 2
+ *   pool:          { [dieSize]: availableCount }, e.g. { 10: 3, 8: 1 }
+ *   ledger:        [{ timestamp, userId, userName, reason, delta, result }]
+ *   lastRest:      { long?: worldTime, full?: worldTime }
+ *   dieOverride:   die size replacing the class die (optional)
+ *
+ * Version 1 (no schemaVersion) stored a single `current` number, and a missing flag meant "full".
+ */
+
+import { MODULE_ID, SCHEMA_VERSION } from './constants.js';
+import { HitDiceManager } from './hit-dice-manager.js';
+
+export class MigrationManager {
+
+  /**
+   * Migrations by target version, oldest first.
+   * Each returns the flag changes (relative to flags.hit-dice-healing) or null if nothing changes;
+   * running one on already-migrated data must change nothing.
+   */
+  static MIGRATIONS = [
+    {
+      version: 2,
+      migrate: (actor, flags) => {
+        const changes = {};
+
+        // Store the pool explicitly: converts the legacy total and ends "missing means full"
+        const pool = MigrationManager.#sanitizePool(flags.pool);
+        if (!pool || 'current' in flags) {
+          changes.pool = HitDiceManager.getCurrentPool(actor);
+        } else if (!foundry.utils.objectsEqual(pool, flags.pool)) {
+          changes.pool = pool;
+        }
+        if ('current' in flags) changes['-=current'] = null;
+
+        if (flags.ledger !== undefined && !Array.isArray(flags.ledger)) {
+          changes.ledger = Object.values(flags.ledger ?? {}).filter(entry => entry && typeof entry === 'object');
+        }
+
+        if (flags.lastRest !== undefined) {
+          for (const [restType, time] of Object.entries(flags.lastRest ?? {})) {
+            if (!Number.isFinite(time)) changes[`lastRest.-=${restType}`] = null;
+          }
+        }
+
+        return Object.keys(changes).length ? changes : null;
+      }
+    }
+  ];
+
+  /**
+   * Keep only integer, non-negative counts for known die sizes
+   * @param {*} pool - A stored pool
+   * @returns {Object<number, number>|null} The cleaned pool, or null if there is none
+   */
+  static #sanitizePool(pool) {
+    if (!pool || typeof pool !== 'object') return null;
+    const clean = {};
+    for (const [size, count] of Object.entries(pool)) {
+      if (!HitDiceManager.DIE_SIZES.includes(Number(size))) continue;
+      clean[size] = Math.max(0, Math.floor(Number(count) || 0));
+    }
+    return clean;
+  }
+
+  /**
+   * Build the update that brings an actor's flags to the current schema
+   * @param {Actor} actor - The PF2E character actor
+   * @returns {Object|null} Update data (with _id), or null if the actor is up to date
+   */
+  static migrateActor(actor) {
+    const flags = actor.flags?.[MODULE_ID] ?? {};
+    const version = flags.schemaVersion ?? 1;
+    if (version >= SCHEMA_VERSION) return null;
+
+    const update = { _id: actor.id };
+    for (const migration of this.MIGRATIONS) {
+      if (migration.version <= version) continue;
+      const changes = migration.migrate(actor, flags) ?? {};
+      for (const [key, value] of Object.entries(changes)) {
+        update[`flags.${MODULE_ID}.${key}`] = value;
+      }
+    }
+    update[`flags.${MODULE_ID}.schemaVersion`] = SCHEMA_VERSION;
+    return update;
+  }
+
+  /**
+   * Migrate the actors of one collection in a single batched update
+   * @param {Actor[]} actors - The actors to check
+   * @param {Object} [options] - Update options (e.g. { pack })
+   * @returns {Promise<{updated: number, failed: string[]}>}
+   */
+  static async #migrateActors(actors, options = {}) {
+    const updates = [];
+    const failed = [];
+
+    for (const actor of actors) {
+      if (actor.type !== 'character') continue;
+      try {
+        const update = this.migrateActor(actor);
+        if (update) updates.push(update);
+      } catch (err) {
+        console.error(`Hit Dice Healing | Could not migrate ${actor.name}`, err);
+        failed.push(actor.name);
+      }
+    }
+
+    if (updates.length) {
+      await Actor.updateDocuments(updates, { ...options, render: false });
+    }
+    return { updated: updates.length, failed };
+  }
+
+  /**
+   * Migrate world actors and unlocked Actor compendia, then report the result to the GM.
+   * Locked compendia with outdated characters are reported but left untouched.
+   * Runs once per schema version (tracked in the world setting); actors carry their own
+   * schemaVersion, so repeated or interrupted runs never migrate an actor twice.
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Run even if the world is already at the current version
+   * @returns {Promise<void>}
+   */
+  static async migrateWorld({ force = false } = {}) {
+    if (game.users.activeGM?.id !== game.user.id) return;
+    const worldVersion = game.settings.get(MODULE_ID, 'schemaVersion');
+    if (!force && worldVersion >= SCHEMA_VERSION) return;
+
+    console.log(`Hit Dice Healing | Migrating data from schema ${worldVersion} to ${SCHEMA_VERSION}`);
+    const report = { world: 0, compendia: 0, skipped: [], failed: [] };
+
+    try {
+      const world = await this.#migrateActors(game.actors.contents);
+      report.world = world.updated;
+      report.failed.push(...world.failed);
+    } catch (err) {
+      console.error('Hit Dice Healing | Could not migrate world actors', err);
+      report.failed.push(game.i18n.localize('HIT_DICE_HEALING.MigrationWorldActors'));
+    }
+
+    for (const pack of game.packs.filter(p => p.documentName === 'Actor')) {
+      try {
+        // Only load characters that are not up to date
+        const index = await pack.getIndex({ fields: ['type', `flags.${MODULE_ID}.schemaVersion`] });
+        const ids = index
+          .filter(entry => entry.type === 'character'
+            && (foundry.utils.getProperty(entry, `flags.${MODULE_ID}.schemaVersion`) ?? 1) < SCHEMA_VERSION)
+          .map(entry => entry._id);
+        if (!ids.length) continue;
+        if (pack.locked) {
+          report.skipped.push(pack.title);
+          continue;
+        }
+
+        const actors = await pack.getDocuments({ _id__in: ids });
+        const result = await this.#migrateActors(actors, { pack: pack.collection });
+        report.compendia += result.updated;
+        report.failed.push(...result.failed);
+      } catch (err) {
+        console.error(`Hit Dice Healing | Could not migrate compendium ${pack.collection}`, err);
+        report.failed.push(pack.title);
+      }
+    }
+
+    // Retry on the next start if anything failed
+    if (!report.failed.length) {
+      await game.settings.set(MODULE_ID, 'schemaVersion', SCHEMA_VERSION);
+    }
+    await this.#report(report);
+  }
+
+  /**
+   * Tell the GM what the migration changed
+   * @param {{world: number, compendia: number, skipped: string[], failed: string[]}} report
+   */
+  static async #report({ world, compendia, skipped, failed }) {
+    const lines = [game.i18n.format('HIT_DICE_HEALING.MigrationUpdated', { version: SCHEMA_VERSION, world, compendia })];
+    if (skipped.length) lines.push(game.i18n.format('HIT_DICE_HEALING.MigrationSkipped', { packs: skipped.join(', ') }));
+    if (failed.length) lines.push(game.i18n.format('HIT_DICE_HEALING.MigrationFailed', { names: failed.join(', ') }));
+    console.log(`Hit Dice Healing | ${lines.join(' ')}`);
+
+    if (failed.length) {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.MigrationIncomplete'));
+    } else if (world || compendia) {
+      ui.notifications.info(game.i18n.localize('HIT_DICE_HEALING.MigrationComplete'));
+    }
+
+    // Nothing to say about a world that needed no changes
+    if (!world && !compendia && !skipped.length && !failed.length) return;
+    await ChatMessage.create({
+      content: lines.map(line => `<p>${foundry.utils.escapeHTML(line)}</p>`).join(''),
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      whisper: ChatMessage.getWhisperRecipients('GM').map(user => user.id)
+    });
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Hit Dice Healing - Party Rest Dashboard
+ * GM application for tracking the party's resources and starting group rests
+ */
+
+import { HitDiceManager } from './hit-dice-manager.js';
+import { HitDiceModal } from './hit-dice-modal.js';
+import { RestManager } from './rest-manager.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class PartyRestDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: 'hit-dice-party-dashboard',
+    classes: ['hit-dice-healing', 'hit-dice-dashboard'],
+    tag: 'div',
+    window: {
+      title: 'HIT_DICE_HEALING.DashboardTitle',
+      icon: 'fas fa-campground',
+      resizable: true
+    },
+    position: {
+      width: 560,
+      height: 'auto'
+    },
+    actions: {
+      toggleMember: PartyRestDashboard.#onToggleMember,
+      toggleAll: PartyRestDashboard.#onToggleAll,
+      openModal: PartyRestDashboard.#onOpenModal,
+      groupRest: PartyRestDashboard.#onGroupRest
+    }
+  };
+
+  static PARTS = {
+    dashboard: {
+      template: 'modules/hit-dice-healing/templates/party-rest-dashboard.hbs'
+    }
+  };
+
+  constructor(options) {
+    super(options);
+    // IDs of members excluded from group rests (everyone is selected by default)
+    this._deselected = new Set();
+  }
+
+  /**
+   * Open the dashboard, bringing an already open one to the front
+   * @returns {Promise<PartyRestDashboard>} The rendered dashboard
+   */
+  static open() {
+    const dashboard = foundry.applications.instances.get(this.DEFAULT_OPTIONS.id) ?? new PartyRestDashboard();
+    return dashboard.render({ force: true });
+  }
+
+  /**
+   * Check if an actor is shown on the dashboard
+   * @param {Actor} actor - The actor
+   * @returns {boolean}
+   */
+  static isMember(actor) {
+    return RestManager.getPartyMembers().some(member => member.id === actor.id);
+  }
+
+  /**
+   * Prepare context data for the template
+   */
+  async _prepareContext() {
+    const members = RestManager.getPartyMembers().map(actor => {
+      const hp = actor.system.attributes.hp;
+      const focus = actor.system.resources?.focus;
+      const depletedSlots = HitDiceManager.countDepletedSpellslots(actor);
+
+      return {
+        id: actor.id,
+        name: actor.name,
+        img: actor.img,
+        hp: `${hp.value} / ${hp.max}`,
+        hitDice: `${HitDiceManager.getCurrentHitDice(actor)} / ${HitDiceManager.getMaxHitDice(actor)}`,
+        focus: focus?.max > 0 ? `${focus.value} / ${focus.max}` : '—',
+        depletedSlots,
+        selected: !this._deselected.has(actor.id)
+      };
+    });
+
+    return {
+      members,
+      hasMembers: members.length > 0,
+      allSelected: members.every(member => member.selected),
+      hasSelection: members.some(member => member.selected)
+    };
+  }
+
+  /**
+   * Get the selected member actors
+   * @returns {Actor[]}
+   */
+  #getSelectedActors() {
+    return RestManager.getPartyMembers().filter(actor => !this._deselected.has(actor.id));
+  }
+
+  /**
+   * Toggle a single member's selection
+   */
+  static #onToggleMember(event, target) {
+    const actorId = target.dataset.actorId;
+    if (this._deselected.has(actorId)) {
+      this._deselected.delete(actorId);
+    } else {
+      this._deselected.add(actorId);
+    }
+    this.render();
+  }
+
+  /**
+   * Select or deselect every member
+   */
+  static #onToggleAll(event, target) {
+    if (this._deselected.size > 0) {
+      this._deselected.clear();
+    } else {
+      for (const actor of RestManager.getPartyMembers()) this._deselected.add(actor.id);
+    }
+    this.render();
+  }
+
+  /**
+   * Open a member's Hit Dice modal
+   */
+  static #onOpenModal(event, target) {
+    const actor = game.actors.get(target.dataset.actorId);
+    if (actor) HitDiceModal.open(actor);
+  }
+
+  /**
+   * Start a Short, Long or Full rest for the selected members
+   */
+  static async #onGroupRest(event, target) {
+    const restType = target.dataset.rest;
+    const actors = this.#getSelectedActors();
+    if (!actors.length) {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.DashboardNoSelection'));
+      return;
+    }
+    await RestManager.performGroupRest(actors, restType);
+    this.render();
+  }
+}
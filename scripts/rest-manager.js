@@ -3,13 +3,18 @@
  * Replaces PF2E's default "Rest for the Night" with Gritfinder's three-tier rest system.
  *
  * Short Rest (10 min): Spend Hit Dice to heal HP.
- * Long Rest (8 hours): Restore Hit Dice, Focus Points, conditions, daily resources.
+ * Long Rest (8 hours): Restore Hit Dice, Focus Points, conditions, daily resources
+ *                       (the configurable rest steps, see rest-steps.js).
  *                       Does NOT restore HP or spell slots.
  * Full Rest (24 hours): Complete recovery (everything). Requires safe location.
  */
 
+import { HOOKS, MODULE_ID } from './constants.js';
 import { HitDiceManager } from './hit-dice-manager.js';
 import { HitDiceModal } from './hit-dice-modal.js';
+import { RestStepManager } from './rest-steps.js';
+import { SafeRestRegionBehavior } from './safe-rest-region.js';
+import { SocketHandler } from './socket.js';
 
 export class RestManager {
 
@@ -23,6 +28,20 @@ export class RestManager {
       ? game.i18n.format(`HIT_DICE_HEALING.${key}`, data)
       : game.i18n.localize(`HIT_DICE_HEALING.${key}`);
 
+    // Full Rests outside a safe area are flagged or disabled
+    const locationMode = game.settings.get(MODULE_ID, 'fullRestLocation');
+    const unsafeReason = locationMode !== 'off' ? this.getUnsafeReason(actor) : null;
+    const fullBlocked = !!unsafeReason && locationMode === 'block' && !game.user.isGM;
+    const unsafeNote = unsafeReason
+      ? `<p class="rest-warning"><i class="fas fa-triangle-exclamation"></i> ${unsafeReason}</p>`
+      : '';
+
+    // What each rest would change for this character
+    const preview = (restType) => {
+      const lines = this.describeRestPlan(this.planRest(actor, restType));
+      return `<ul class="rest-preview">${lines.map(line => `<li>${Handlebars.escapeExpression(line)}</li>`).join('')}</ul>`;
+    };
+
     const content = `
       <div class="hit-dice-rest-dialog">
         <div class="rest-option" data-rest="short">
@@ -31,6 +50,7 @@ export class RestManager {
             <h4>${i18n('ShortRestLabel')}</h4>
             <span class="rest-time">${i18n('ShortRestTime')}</span>
             <p>${i18n('ShortRestDesc')}</p>
+            ${preview('short')}
           </div>
         </div>
         <div class="rest-option" data-rest="long">
@@ -39,14 +59,17 @@ export class RestManager {
             <h4>${i18n('LongRestLabel')}</h4>
             <span class="rest-time">${i18n('LongRestTime')}</span>
             <p>${i18n('LongRestDesc')}</p>
+            ${preview('long')}
           </div>
         </div>
-        <div class="rest-option" data-rest="full">
+        <div class="rest-option ${fullBlocked ? 'disabled' : ''}" data-rest="full">
           <div class="rest-icon"><i class="fas fa-house-chimney"></i></div>
           <div class="rest-details">
             <h4>${i18n('FullRestLabel')}</h4>
             <span class="rest-time">${i18n('FullRestTime')}</span>
             <p>${i18n('FullRestDesc')}</p>
+            ${preview('full')}
+            ${unsafeNote}
           </div>
         </div>
       </div>
@@ -75,6 +98,7 @@ export class RestManager {
           action: 'full',
           label: i18n('FullRestLabel'),
           icon: 'fas fa-house-chimney',
+          disabled: fullBlocked,
           callback: () => 'full'
         }
       ],
@@ -84,15 +108,223 @@ export class RestManager {
 
     // Handle the chosen rest type
     if (!result) return;
+    return this.performRest(actor, result);
+  }
+
+  /**
+   * Perform a rest of the given type. In approval mode a player's Long and Full rests
+   * are sent to the GM instead (see requestRestApproval), so every entry point should rest through here.
+   * @param {Actor} actor - The PF2E character actor
+   * @param {'short'|'long'|'full'} restType - The rest to perform
+   * @param {Object} [options] - Rest options (see performLongRest)
+   * @returns {Promise<boolean>} Whether the rest took place
+   */
+  static async performRest(actor, restType, options = {}) {
+    if (restType !== 'short' && this.requiresApproval()) {
+      return this.requestRestApproval(actor, restType);
+    }
 
-    switch (result) {
+    switch (restType) {
       case 'short':
-        return this.performShortRest(actor);
+        return this.performShortRest(actor, options);
       case 'long':
-        return this.performLongRest(actor);
+        return this.performLongRest(actor, options);
       case 'full':
-        return this.performFullRest(actor);
+        return this.performFullRest(actor, options);
+    }
+    return false;
+  }
+
+  // ============================================================================
+  // GM Approval
+  // ============================================================================
+
+  /**
+   * Rest types a request can be downgraded to
+   */
+  static DOWNGRADES = {
+    full: 'long',
+    long: 'short'
+  };
+
+  /**
+   * Check if the current user's Long/Full rests need GM approval
+   * @returns {boolean}
+   */
+  static requiresApproval() {
+    return !game.user.isGM && game.settings.get(MODULE_ID, 'restApproval');
+  }
+
+  /**
+   * Ask the active GM to approve a rest, then report the outcome (player side).
+   * Approved Long/Full rests run on the GM's client; a downgrade to a Short Rest
+   * opens the Hit Dice modal here.
+   * @param {Actor} actor - The PF2E character actor
+   * @param {'long'|'full'} restType - The requested rest
+   * @returns {Promise<boolean>} Whether the approved rest took place
+   */
+  static async requestRestApproval(actor, restType) {
+    ui.notifications.info(game.i18n.localize('HIT_DICE_HEALING.RestRequestSent'));
+
+    const response = await SocketHandler.request('restRequest', { actorId: actor.id, restType });
+    if (!response) return false;
+
+    if (!response.approved) {
+      const key = response.failed ? 'HIT_DICE_HEALING.RestRequestFailed' : 'HIT_DICE_HEALING.RestRequestDenied';
+      ui.notifications.warn(game.i18n.format(key, { name: actor.name }));
+      return false;
+    }
+
+    const label = game.i18n.localize(this.#restLabelKey(response.restType));
+    ui.notifications.info(game.i18n.format('HIT_DICE_HEALING.RestRequestApproved', { name: actor.name, rest: label }));
+
+    if (response.restType === 'short') {
+      return this.performShortRest(actor);
+    }
+    return true;
+  }
+
+  /**
+   * Prompt the GM to approve, deny or downgrade a player's rest request (GM side)
+   * @param {{actorId: string, restType: 'long'|'full'}} payload - The request
+   * @param {string} userId - The requesting user
+   * @returns {Promise<{approved: boolean, restType?: string, failed?: boolean}>} The decision;
+   *   failed is set when an approved Long/Full rest did not take place (e.g. a declined override)
+   */
+  static async handleRestRequest({ actorId, restType }, userId) {
+    const actor = game.actors.get(actorId);
+    const user = game.users.get(userId);
+    if (!actor || !user || !actor.testUserPermission(user, 'OWNER')) return { approved: false };
+
+    const requested = game.i18n.localize(this.#restLabelKey(restType));
+    const downgrade = this.DOWNGRADES[restType];
+
+    const buttons = [
+      { action: 'approve', label: game.i18n.localize('HIT_DICE_HEALING.Approve'), icon: 'fas fa-check', default: true },
+      { action: 'deny', label: game.i18n.localize('HIT_DICE_HEALING.Deny'), icon: 'fas fa-times' }
+    ];
+    if (downgrade) {
+      buttons.splice(1, 0, {
+        action: 'downgrade',
+        label: game.i18n.format('HIT_DICE_HEALING.DowngradeTo', {
+          rest: game.i18n.localize(this.#restLabelKey(downgrade))
+        }),
+        icon: 'fas fa-arrow-down'
+      });
+    }
+
+    const decision = await foundry.applications.api.DialogV2.wait({
+      window: {
+        title: game.i18n.localize('HIT_DICE_HEALING.RestRequestTitle'),
+        icon: 'fas fa-bed'
+      },
+      content: `<p>${game.i18n.format('HIT_DICE_HEALING.RestRequestPrompt', {
+        user: user.name,
+        name: actor.name,
+        rest: requested
+      })}</p>`,
+      buttons,
+      rejectClose: false,
+      close: () => 'deny'
+    });
+
+    if (decision === 'approve' || decision === 'downgrade') {
+      const approvedType = decision === 'approve' ? restType : downgrade;
+      // Short rests are spent by the player; Long/Full rests run here
+      if (approvedType !== 'short' && !await this.performRest(actor, approvedType)) {
+        return { approved: false, failed: true };
+      }
+      return { approved: true, restType: approvedType };
+    }
+
+    return { approved: false };
+  }
+
+  /**
+   * Localization key for a rest type's label
+   * @param {'short'|'long'|'full'} restType
+   * @returns {string}
+   */
+  static #restLabelKey(restType) {
+    return {
+      short: 'HIT_DICE_HEALING.ShortRestLabel',
+      long: 'HIT_DICE_HEALING.LongRestLabel',
+      full: 'HIT_DICE_HEALING.FullRestLabel'
+    }[restType];
+  }
+
+  // ============================================================================
+  // Rest Preview
+  // ============================================================================
+
+  /**
+   * Compute what a rest would change for an actor without applying anything.
+   * Long Rests reuse the rest step plan that performLongRest applies.
+   * @param {Actor} actor - The PF2E character actor
+   * @param {'short'|'long'|'full'} restType - The rest to plan
+   * @param {Object[]} [steps] - Rest step definitions (defaults to the configured and registered steps)
+   * @returns {Object} The plan: hitDice {current, after, max} plus, depending on the rest,
+   *   healing {min, max}, focus {from, to}, steps (see RestStepManager.plan), hp {from, to} and slots
+   */
+  static planRest(actor, restType, steps) {
+    const current = HitDiceManager.getCurrentHitDice(actor);
+    const max = HitDiceManager.getMaxHitDice(actor);
+
+    if (restType === 'short') {
+      const pool = HitDiceManager.getCurrentPool(actor);
+      return {
+        restType,
+        hitDice: { current, after: current, max },
+        healing: current > 0
+          ? HitDiceManager.calculateRange(pool, HitDiceManager.getBonusModifier(actor), HitDiceManager.getMinimumPerDie(actor))
+          : null
+      };
+    }
+
+    const restore = Math.min(max - current, HitDiceManager.getRecoveryAmount(actor, restType));
+    const focus = actor.system.resources?.focus;
+    const plan = {
+      restType,
+      hitDice: { current, after: current + restore, max },
+      focus: focus?.max > 0 && focus.value < focus.max ? { from: focus.value, to: focus.max } : null,
+      steps: RestStepManager.plan(actor, restType, steps)
+    };
+
+    if (restType === 'full') {
+      // PF2E's rest for the night restores HP and spell slots
+      const hp = actor.system.attributes.hp;
+      plan.hp = hp.value < hp.max ? { from: hp.value, to: hp.max } : null;
+      plan.slots = HitDiceManager.countDepletedSpellslots(actor);
+    }
+    return plan;
+  }
+
+  /**
+   * Describe a rest plan as localized preview lines
+   * @param {Object} plan - The plan (see planRest)
+   * @returns {string[]} One line per change
+   */
+  static describeRestPlan(plan) {
+    const i18n = (key, data) => game.i18n.format(`HIT_DICE_HEALING.${key}`, data);
+    const lines = [];
+
+    if (plan.restType === 'short') {
+      lines.push(plan.healing
+        ? i18n('PreviewHitDiceAvailable', { count: plan.hitDice.current, ...plan.healing })
+        : i18n('NoDiceAvailable'));
+      return lines;
     }
+
+    const { current, after, max } = plan.hitDice;
+    if (after > current) lines.push(i18n('PreviewHitDice', { current, after, max }));
+    if (plan.hp) lines.push(i18n('PreviewHP', plan.hp));
+    if (plan.focus) lines.push(i18n('PreviewFocus', plan.focus));
+    if (plan.slots) lines.push(i18n('PreviewSlots', { count: plan.slots }));
+
+    lines.push(...RestStepManager.describe(plan.steps));
+
+    if (!lines.length) lines.push(i18n('PreviewNoChanges'));
+    return lines;
   }
 
   // ============================================================================
@@ -102,9 +334,17 @@ export class RestManager {
   /**
    * Perform a Short Rest - opens the Hit Dice modal for spending dice.
    * @param {Actor} actor - The PF2E character actor
+   * @param {Object} [options]
+   * @param {boolean} [options.advanceTime=true] - Advance the world clock by the rest duration
+   * @returns {Promise<boolean>} Whether the rest took place (false if blocked by combat)
    */
-  static performShortRest(actor) {
-    new HitDiceModal(actor).render(true);
+  static async performShortRest(actor, { advanceTime = true } = {}) {
+    if (!await HitDiceManager.checkCombat(actor)) return false;
+    if (Hooks.call(HOOKS.preRest, actor, { restType: 'short', steps: [] }) === false) return false;
+    HitDiceModal.open(actor);
+    if (advanceTime) await this.advanceWorldTime('short', actor);
+    Hooks.callAll(HOOKS.rest, actor, { restType: 'short', messages: [], interrupted: false });
+    return true;
   }
 
   // ============================================================================
@@ -116,18 +356,31 @@ export class RestManager {
    * Restores Hit Dice, Focus Points, handles conditions, refreshes daily resources.
    * Does NOT restore HP or spell slots.
    * @param {Actor} actor - The PF2E character actor
+   * @param {Object} [options]
+   * @param {boolean} [options.advanceTime=true] - Advance the world clock by the rest duration
+   * @param {{encounter: boolean, interrupted: boolean}} [options.encounter] - A pre-rolled encounter check
+   *   (group rests roll once for everyone); rolled here if omitted
+   * @returns {Promise<boolean>} Whether the rest took place (false if blocked by combat or cooldown)
    */
-  static async performLongRest(actor) {
+  static async performLongRest(actor, { advanceTime = true, encounter } = {}) {
+    if (!await HitDiceManager.checkCombat(actor)) return false;
+    if (!await this.checkCooldown(actor, 'long')) return false;
+
+    // Other modules may change the rest steps or cancel the rest
+    const restData = { restType: 'long', steps: RestStepManager.getSteps('long') };
+    if (Hooks.call(HOOKS.preRest, actor, restData) === false) return false;
+
+    if (advanceTime) await this.advanceWorldTime('long', actor);
+
+    encounter ??= await this.rollEncounterCheck([actor], 'long');
+    if (encounter.interrupted) return this._interruptRest(actor, 'long');
+
+    const plan = this.planRest(actor, 'long', restData.steps);
     const messages = [];
     const updates = {};
 
-    // 1. Restore all Hit Dice
-    const hdResult = await HitDiceManager.replenishHitDice(actor);
-    if (hdResult.replenished > 0) {
-      messages.push(game.i18n.format('HIT_DICE_HEALING.HitDiceRestored', { count: hdResult.replenished }));
-    } else {
-      messages.push(game.i18n.localize('HIT_DICE_HEALING.HitDiceAlreadyFull'));
-    }
+    // 1. Recover Hit Dice (all, or the configured partial amount)
+    await this._recoverHitDice(actor, 'long', messages);
 
     // 2. Restore Focus Points
     const focus = actor.system.resources?.focus;
@@ -140,11 +393,12 @@ export class RestManager {
       }
     }
 
-    // 3. Handle conditions
-    await this._handleRestConditions(actor, messages);
+    // 3. Conditions and daily resources (the configured rest steps)
+    await RestStepManager.apply(actor, plan.steps, { restType: 'long', messages, updates });
 
-    // 4. Refresh daily resources
-    await this._refreshDailyResources(actor, messages, updates);
+    // 4. Explicitly note what was NOT restored
+    messages.push(game.i18n.localize('HIT_DICE_HEALING.HPUnchanged'));
+    messages.push(game.i18n.localize('HIT_DICE_HEALING.SpellSlotsUnchanged'));
 
     // Apply batched updates
     if (Object.keys(updates).length > 0) {
@@ -154,153 +408,402 @@ export class RestManager {
     // 5. Send chat message
     await this._sendRestChatMessage(actor, 'long', messages);
 
-    // 6. Re-render sheet
+    // 6. Remember when this actor last rested
+    await this.recordRest(actor, 'long');
+    Hooks.callAll(HOOKS.rest, actor, { restType: 'long', messages, interrupted: false });
+
+    // 7. Re-render sheet
     if (actor.sheet?.rendered) {
       actor.sheet.render(false);
     }
+    return true;
   }
 
   // ============================================================================
   // Full Rest
   // ============================================================================
 
+  /**
+   * IDs of actors whose Full Rest is currently running PF2E's rest for the night
+   * (the pf2e.restForTheNight hook leaves their Hit Dice to performFullRest)
+   * @type {Set<string>}
+   */
+  static _activeFullRests = new Set();
+
+  /**
+   * Check if a Full Rest is in progress for an actor
+   * @param {Actor} actor - The PF2E character actor
+   * @returns {boolean}
+   */
+  static isFullResting(actor) {
+    return this._activeFullRests.has(actor.id);
+  }
+
   /**
    * Perform a Full Rest.
    * Calls PF2E's built-in rest (HP, spell slots, conditions, etc.)
    * then also restores Hit Dice.
    * @param {Actor} actor - The PF2E character actor
+   * @param {Object} [options]
+   * @param {boolean} [options.advanceTime=true] - Advance the world clock by the rest duration
+   * @param {{encounter: boolean, interrupted: boolean}} [options.encounter] - A pre-rolled encounter check
+   * @returns {Promise<boolean>} Whether the rest took place (false if blocked by combat, cooldown or location)
    */
-  static async performFullRest(actor) {
+  static async performFullRest(actor, { advanceTime = true, encounter } = {}) {
+    if (!await HitDiceManager.checkCombat(actor)) return false;
+    if (!await this.checkCooldown(actor, 'full')) return false;
+    if (!await this.checkSafeLocation(actor)) return false;
+
+    // Other modules may change the rest steps or cancel the rest
+    const restData = { restType: 'full', steps: RestStepManager.getSteps('full') };
+    if (Hooks.call(HOOKS.preRest, actor, restData) === false) return false;
+
+    if (advanceTime) await this.advanceWorldTime('full', actor);
+
+    encounter ??= await this.rollEncounterCheck([actor], 'full');
+    if (encounter.interrupted) return this._interruptRest(actor, 'full');
+
     // Call PF2E's original rest for the night (handles HP, slots, conditions, etc.)
     if (game.pf2e?.actions?.restForTheNight) {
-      await game.pf2e.actions.restForTheNight({ actors: actor, skipDialog: true });
+      this._activeFullRests.add(actor.id);
+      try {
+        await game.pf2e.actions.restForTheNight({ actors: actor, skipDialog: true });
+      } finally {
+        this._activeFullRests.delete(actor.id);
+      }
     }
 
-    // Restore Hit Dice (not handled by PF2E's rest)
-    const hdResult = await HitDiceManager.replenishHitDice(actor);
+    // Recover Hit Dice (not handled by PF2E's rest)
+    const messages = [];
+    const hdResult = await this._recoverHitDice(actor, 'full', messages);
+
+    // Rest steps configured for Full Rests (planned after PF2E's rest changed the actor)
+    const steps = RestStepManager.plan(actor, 'full', restData.steps);
+    if (steps.length) {
+      const updates = {};
+      await RestStepManager.apply(actor, steps, { restType: 'full', messages, updates });
+      if (Object.keys(updates).length > 0) {
+        await actor.update(updates, { render: false });
+      }
+      await this._sendRestChatMessage(actor, 'full', messages);
+    } else if (hdResult.replenished > 0) {
+      // Send additional notification about HD
+      ui.notifications.info(`${actor.name}: ${messages[0]}`);
+    }
 
-    // Send additional notification about HD
-    if (hdResult.replenished > 0) {
-      const msg = game.i18n.format('HIT_DICE_HEALING.HitDiceRestored', { count: hdResult.replenished });
-      ui.notifications.info(`${actor.name}: ${msg}`);
+    await this.recordRest(actor, 'full');
+    Hooks.callAll(HOOKS.rest, actor, { restType: 'full', messages, interrupted: false });
+    return true;
+  }
+
+  // ============================================================================
+  // World Time & Cooldowns
+  // ============================================================================
+
+  /**
+   * Advance the world clock by the configured duration of a rest.
+   * Players ask the active GM to advance the clock for them.
+   * @param {'short'|'long'|'full'} restType - The rest taken
+   * @param {Actor} [actor] - The resting character (required for players)
+   */
+  static async advanceWorldTime(restType, actor) {
+    if (!game.settings.get(MODULE_ID, 'advanceTime')) return;
+    const minutes = game.settings.get(MODULE_ID, `${restType}RestMinutes`);
+    if (!(minutes > 0)) return;
+
+    if (game.user.isGM) {
+      await game.time.advance(minutes * 60);
+    } else if (actor) {
+      await SocketHandler.request('advanceTime', { actorId: actor.id, restType });
+    }
+  }
+
+  /**
+   * Advance the world clock for a player's rest (GM side).
+   * Only owners of the resting character may move the clock.
+   * @param {{actorId: string, restType: 'short'|'long'|'full'}} payload - The request
+   * @param {string} userId - The requesting user
+   */
+  static async handleAdvanceTime({ actorId, restType }, userId) {
+    if (!['short', 'long', 'full'].includes(restType)) return;
+    const actor = game.actors.get(actorId);
+    const user = game.users.get(userId);
+    if (actor?.type !== 'character' || !user || !actor.testUserPermission(user, 'OWNER')) {
+      console.warn(`Hit Dice Healing | Refused to advance the world time for user ${userId}`);
+      return;
     }
+    await this.advanceWorldTime(restType, actor);
+  }
+
+  /**
+   * Record the world time of an actor's rest in its flags
+   * @param {Actor} actor - The PF2E character actor
+   * @param {'long'|'full'} restType - The rest taken
+   */
+  static async recordRest(actor, restType) {
+    await actor.setFlag(MODULE_ID, `lastRest.${restType}`, game.time.worldTime);
+  }
+
+  /**
+   * Check whether an actor may take a rest given the configured cooldown.
+   * The GM can override an active cooldown; players are refused.
+   * @param {Actor} actor - The PF2E character actor
+   * @param {'long'|'full'} restType - The rest to take
+   * @returns {Promise<boolean>} True if the rest may proceed
+   */
+  static async checkCooldown(actor, restType) {
+    const hours = game.settings.get(MODULE_ID, `${restType}RestCooldown`);
+    const last = actor.getFlag(MODULE_ID, `lastRest.${restType}`);
+    if (!(hours > 0) || last === undefined) return true;
+
+    const remaining = last + (hours * 3600) - game.time.worldTime;
+    if (remaining <= 0) return true;
+
+    const data = {
+      name: actor.name,
+      rest: game.i18n.localize(this.#restLabelKey(restType)),
+      hours: Math.ceil(remaining / 3600)
+    };
+
+    if (game.user.isGM) {
+      return foundry.applications.api.DialogV2.confirm({
+        window: { title: game.i18n.localize('HIT_DICE_HEALING.RestCooldownTitle') },
+        content: `<p>${game.i18n.format('HIT_DICE_HEALING.RestCooldownOverride', data)}</p>`
+      });
+    }
+
+    ui.notifications.warn(game.i18n.format('HIT_DICE_HEALING.RestOnCooldown', data));
+    return false;
   }
 
   // ============================================================================
-  // Internal Helpers
+  // Safe Location
   // ============================================================================
 
   /**
-   * Handle condition changes during Long Rest.
-   * Removes fatigued, decreases doomed/drained by 1,
-   * removes wounded only if at max HP.
-   * @param {Actor} actor
-   * @param {string[]} messages - Array to push status messages into
+   * Explain why an actor is not in a safe location for a Full Rest.
+   * The whole scene counts as safe when flagged by the GM; otherwise one of the
+   * actor's tokens must stand inside a Safe Rest Area region.
+   * @param {Actor} actor - The PF2E character actor
+   * @returns {string|null} Localized reason, or null if the location is safe
    */
-  static async _handleRestConditions(actor, messages) {
-    // Remove fatigued
-    if (actor.hasCondition('fatigued')) {
-      await actor.decreaseCondition('fatigued', { forceRemove: true });
-      messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionRemoved', { condition: 'Fatigued' }));
+  static getUnsafeReason(actor) {
+    const tokens = actor.getActiveTokens(true, true);
+    const scene = tokens[0]?.parent ?? canvas.scene;
+    if (scene?.getFlag(MODULE_ID, 'safeRest')) return null;
+
+    if (!tokens.length) {
+      return game.i18n.format('HIT_DICE_HEALING.UnsafeNoToken', { name: actor.name });
     }
+    if (tokens.some(token => SafeRestRegionBehavior.contains(token))) return null;
+    return game.i18n.format('HIT_DICE_HEALING.UnsafeLocation', { name: actor.name });
+  }
 
-    // Decrease doomed by 1
-    if (actor.hasCondition('doomed')) {
-      const doomed = actor.getCondition('doomed');
-      if (doomed?.value <= 1) {
-        await actor.decreaseCondition('doomed', { forceRemove: true });
-        messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionRemoved', { condition: 'Doomed' }));
-      } else {
-        await actor.decreaseCondition('doomed');
-        messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionReduced', { condition: 'Doomed' }));
-      }
+  /**
+   * Check whether an actor may take a Full Rest at its current location.
+   * In "block" mode the GM can override; players are refused.
+   * @param {Actor} actor - The PF2E character actor
+   * @returns {Promise<boolean>} True if the rest may proceed
+   */
+  static async checkSafeLocation(actor) {
+    if (game.settings.get(MODULE_ID, 'fullRestLocation') !== 'block') return true;
+
+    const reason = this.getUnsafeReason(actor);
+    if (!reason) return true;
+
+    if (game.user.isGM) {
+      return foundry.applications.api.DialogV2.confirm({
+        window: { title: game.i18n.localize('HIT_DICE_HEALING.UnsafeTitle') },
+        content: `<p>${reason}</p><p>${game.i18n.localize('HIT_DICE_HEALING.UnsafeOverride')}</p>`
+      });
     }
 
-    // Decrease drained by 1
-    if (actor.hasCondition('drained')) {
-      const drained = actor.getCondition('drained');
-      if (drained?.value <= 1) {
-        await actor.decreaseCondition('drained', { forceRemove: true });
-        messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionRemoved', { condition: 'Drained' }));
+    ui.notifications.warn(reason);
+    return false;
+  }
+
+  // ============================================================================
+  // Encounter Checks
+  // ============================================================================
+
+  /**
+   * Roll the encounter check for a Long or Full Rest.
+   * The flat check (scene DC or the world default) and any encounter table draw
+   * are rolled blind for the GM. An encounter may interrupt the rest, depending
+   * on the interrupt setting or the GM's decision.
+   * @param {Actor[]} actors - The resting actors
+   * @param {'long'|'full'} restType - The rest taken
+   * @returns {Promise<{encounter: boolean, interrupted: boolean}>} The outcome
+   */
+  static async rollEncounterCheck(actors, restType) {
+    const outcome = { encounter: false, interrupted: false };
+    if (!game.settings.get(MODULE_ID, 'encounterCheck')) return outcome;
+
+    const data = {
+      names: actors.map(a => a.name).join(', '),
+      rest: game.i18n.localize(this.#restLabelKey(restType)),
+      dc: canvas.scene?.getFlag(MODULE_ID, 'encounterDC') || game.settings.get(MODULE_ID, 'encounterDC')
+    };
+
+    const roll = await new Roll('1d20').evaluate();
+    outcome.encounter = roll.total >= data.dc;
+    await roll.toMessage({
+      flavor: game.i18n.format(
+        outcome.encounter ? 'HIT_DICE_HEALING.EncounterTriggered' : 'HIT_DICE_HEALING.EncounterQuiet',
+        data
+      )
+    }, { rollMode: CONST.DICE_ROLL_MODES.BLIND });
+    if (!outcome.encounter) return outcome;
+
+    const tableUuid = game.settings.get(MODULE_ID, 'encounterTable');
+    if (tableUuid) {
+      const table = await fromUuid(tableUuid);
+      if (table instanceof RollTable) {
+        await table.draw({ rollMode: CONST.DICE_ROLL_MODES.BLIND });
       } else {
-        await actor.decreaseCondition('drained');
-        messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionReduced', { condition: 'Drained' }));
+        console.warn(`Hit Dice Healing | Encounter table "${tableUuid}" not found`);
       }
     }
 
-    // Remove wounded only if at max HP
-    if (actor.hasCondition('wounded')) {
-      const hp = actor.system.attributes.hp;
-      if (hp.value >= hp.max) {
-        await actor.decreaseCondition('wounded', { forceRemove: true });
-        messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionRemoved', { condition: 'Wounded' }));
-      } else {
-        messages.push(game.i18n.localize('HIT_DICE_HEALING.WoundsNotHealed'));
-      }
+    const mode = game.settings.get(MODULE_ID, 'encounterInterrupt');
+    if (mode === 'ask') {
+      outcome.interrupted = game.user.isGM
+        ? await this.confirmInterrupt(data)
+        : !!await SocketHandler.request('encounterInterrupt', data);
+    } else {
+      outcome.interrupted = mode === 'always';
     }
+    return outcome;
   }
 
   /**
-   * Refresh daily resources during Long Rest.
-   * Handles wands, reagents, action frequencies, daily crafting, temporary items.
-   * @param {Actor} actor
-   * @param {string[]} messages - Array to push status messages into
-   * @param {Object} updates - Batched actor updates
+   * Ask the GM whether an encounter interrupts a rest
+   * @param {{names: string, rest: string}} data - Resting actors and rest label
+   * @returns {Promise<boolean>} True if the rest is interrupted
    */
-  static async _refreshDailyResources(actor, messages, updates) {
-    let dailyRefreshed = false;
+  static async confirmInterrupt(data) {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('HIT_DICE_HEALING.EncounterTitle') },
+      content: `<p>${game.i18n.format('HIT_DICE_HEALING.EncounterInterruptPrompt', data)}</p>`
+    });
+    return !!confirmed;
+  }
 
-    // Recharge wands (reset overcharge tracking)
-    const wands = actor.items.filter(i =>
-      i.type === 'consumable' && i.system?.consumableType?.value === 'wand'
-    );
-    for (const wand of wands) {
-      // Wands in PF2E track daily usage via frequency
-      if (wand.system?.frequency) {
-        await wand.update({
-          'system.frequency.value': wand.system.frequency.max
-        }, { render: false });
-        dailyRefreshed = true;
-      }
-    }
+  /**
+   * End an interrupted rest: grant the configured partial recovery (half of the
+   * rest's usual Hit Dice recovery, or nothing) and post the rest card.
+   * The cooldown is not started.
+   * @param {Actor} actor - The PF2E character actor
+   * @param {'long'|'full'} restType - The interrupted rest
+   * @returns {Promise<boolean>} Always true (the time was still spent)
+   */
+  static async _interruptRest(actor, restType) {
+    const messages = [];
 
-    // Restore infused reagents (Alchemist)
-    const reagents = actor.system.resources?.crafting?.infusedReagents;
-    if (reagents && reagents.value < reagents.max) {
-      updates['system.resources.crafting.infusedReagents.value'] = reagents.max;
-      messages.push(game.i18n.localize('HIT_DICE_HEALING.InfusedReagentsRestored'));
+    const missing = HitDiceManager.getMaxHitDice(actor) - HitDiceManager.getCurrentHitDice(actor);
+    const amount = Math.floor(Math.min(missing, HitDiceManager.getRecoveryAmount(actor, restType)) / 2);
+    if (game.settings.get(MODULE_ID, 'interruptedRecovery') === 'half' && amount > 0) {
+      await this._recoverHitDice(actor, restType, messages, amount);
+    } else {
+      messages.push(game.i18n.localize('HIT_DICE_HEALING.NoRecovery'));
     }
 
-    // Reset daily crafting flag
-    if (actor.flags?.pf2e?.dailyCraftingComplete) {
-      await actor.setFlag('pf2e', 'dailyCraftingComplete', false);
+    await this._sendRestChatMessage(actor, restType, messages, { interrupted: true });
+    Hooks.callAll(HOOKS.rest, actor, { restType, messages, interrupted: true });
+
+    if (actor.sheet?.rendered) {
+      actor.sheet.render(false);
     }
+    return true;
+  }
 
-    // Refresh action frequencies (daily-use abilities)
-    for (const item of actor.items) {
-      if (item.system?.frequency?.per === 'day' && item.system.frequency.value < item.system.frequency.max) {
-        await item.update({
-          'system.frequency.value': item.system.frequency.max
-        }, { render: false });
-        dailyRefreshed = true;
-      }
+  // ============================================================================
+  // Group Rest
+  // ============================================================================
+
+  /**
+   * Get the characters managed by the party rest dashboard:
+   * the PF2E Party actor's members, or every player-owned character.
+   * @returns {Actor[]} Character actors
+   */
+  static getPartyMembers() {
+    const members = game.actors.party?.members?.filter(a => a.type === 'character') ?? [];
+    if (members.length) return members;
+    return game.actors.filter(a => a.type === 'character' && a.hasPlayerOwner);
+  }
+
+  /**
+   * Start a rest for several characters at once (GM).
+   * A Short Rest opens the Hit Dice modal on each owning player's client;
+   * Long and Full Rests are performed for every actor in turn.
+   * @param {Actor[]} actors - The PF2E character actors
+   * @param {'short'|'long'|'full'} restType - The rest to perform
+   */
+  static async performGroupRest(actors, restType) {
+    if (!actors.length) return;
+
+    if (restType === 'short') {
+      SocketHandler.emit('shortRest', { actorIds: actors.map(a => a.id) });
+      await ChatMessage.create({
+        content: `<p>${game.i18n.format('HIT_DICE_HEALING.GroupShortRest', {
+          names: actors.map(a => a.name).join(', ')
+        })}</p>`,
+        type: CONST.CHAT_MESSAGE_TYPES.OTHER
+      });
+      await this.advanceWorldTime('short', actors[0]);
+      return;
     }
 
-    // Delete temporary items (items with duration that have expired)
-    const temporaryItems = actor.items.filter(i => i.system?.temporary === true);
-    if (temporaryItems.length > 0) {
-      const ids = temporaryItems.map(i => i.id);
-      await actor.deleteEmbeddedDocuments('Item', ids, { render: false });
-      messages.push(game.i18n.localize('HIT_DICE_HEALING.TemporaryItemsExpired'));
+    // The clock advances and the encounter check is rolled once for the whole group
+    const encounter = await this.rollEncounterCheck(actors, restType);
+    let rested = false;
+    for (const actor of actors) {
+      rested = await this.performRest(actor, restType, { advanceTime: false, encounter }) || rested;
     }
+    if (rested) await this.advanceWorldTime(restType, actors[0]);
+  }
 
-    if (dailyRefreshed) {
-      messages.push(game.i18n.localize('HIT_DICE_HEALING.DailyResourcesReset'));
+  /**
+   * Player side of a group Short Rest: open the Hit Dice modal for owned actors.
+   * @param {string[]} actorIds - IDs of the resting actors
+   */
+  static openShortRestFor(actorIds) {
+    if (game.user.isGM) return;
+    for (const id of actorIds) {
+      const actor = game.actors.get(id);
+      // The GM already advanced the clock for the group
+      if (actor?.isOwner) this.performShortRest(actor, { advanceTime: false });
     }
+  }
 
-    // Explicitly note what was NOT restored
-    messages.push(game.i18n.localize('HIT_DICE_HEALING.HPUnchanged'));
-    messages.push(game.i18n.localize('HIT_DICE_HEALING.SpellSlotsUnchanged'));
+  // ============================================================================
+  // Internal Helpers
+  // ============================================================================
+
+  /**
+   * Recover Hit Dice for a rest and note how many were recovered
+   * and how many are still missing.
+   * @param {Actor} actor
+   * @param {'long'|'full'} restType
+   * @param {string[]} messages - Array to push status messages into
+   * @param {number} [amount] - Dice to recover (defaults to the rest's recovery amount)
+   * @returns {Promise<{replenished: number, total: number}>}
+   */
+  static async _recoverHitDice(actor, restType, messages, amount = HitDiceManager.getRecoveryAmount(actor, restType)) {
+    const hdResult = await HitDiceManager.replenishHitDice(actor, `${restType}Rest`, amount);
+    const missing = hdResult.total - HitDiceManager.getCurrentHitDice(actor);
+
+    if (missing > 0) {
+      messages.push(game.i18n.format('HIT_DICE_HEALING.HitDiceRecoveredPartial', {
+        count: hdResult.replenished,
+        missing
+      }));
+    } else if (hdResult.replenished > 0) {
+      messages.push(game.i18n.format('HIT_DICE_HEALING.HitDiceRestored', { count: hdResult.replenished }));
+    } else {
+      messages.push(game.i18n.localize('HIT_DICE_HEALING.HitDiceAlreadyFull'));
+    }
+    return hdResult;
   }
 
   /**
@@ -308,16 +811,23 @@ export class RestManager {
    * @param {Actor} actor
    * @param {'long'|'full'} restType
    * @param {string[]} messages - Status messages to display
+   * @param {Object} [options]
+   * @param {boolean} [options.interrupted=false] - The rest was cut short by an encounter
    */
-  static async _sendRestChatMessage(actor, restType, messages) {
+  static async _sendRestChatMessage(actor, restType, messages, { interrupted = false } = {}) {
     const isLong = restType === 'long';
-    const title = isLong
+    let title = isLong
       ? game.i18n.localize('HIT_DICE_HEALING.LongRestComplete')
       : game.i18n.localize('HIT_DICE_HEALING.FullRestComplete');
-    const awakens = isLong
+    let awakens = isLong
       ? game.i18n.format('HIT_DICE_HEALING.Awakens', { name: actor.name })
       : game.i18n.format('HIT_DICE_HEALING.AwakensFullyRested', { name: actor.name });
 
+    if (interrupted) {
+      title = game.i18n.localize(isLong ? 'HIT_DICE_HEALING.LongRestInterrupted' : 'HIT_DICE_HEALING.FullRestInterrupted');
+      awakens = game.i18n.format('HIT_DICE_HEALING.RestInterruptedDesc', { name: actor.name });
+    }
+
     const content = await renderTemplate(
       'modules/hit-dice-healing/templates/chat-rest.hbs',
       {
@@ -327,7 +837,8 @@ export class RestManager {
         awakens,
         messages,
         isLongRest: isLong,
-        isFullRest: !isLong
+        isFullRest: !isLong,
+        interrupted
       }
     );
 
@@ -0,0 +1,147 @@
+/**
+ * Hit Dice Healing - Rest Steps Configuration
+ * ApplicationV2 form where the GM edits the recovery rules applied by rests
+ */
+
+import { MODULE_ID } from './constants.js';
+import { RestStepManager } from './rest-steps.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class RestStepsConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: 'hit-dice-rest-steps-config',
+    classes: ['hit-dice-healing', 'hit-dice-config'],
+    tag: 'form',
+    window: {
+      title: 'HIT_DICE_HEALING.RestStepsConfigName',
+      icon: 'fas fa-list-check',
+      resizable: true
+    },
+    position: {
+      width: 680,
+      height: 600
+    },
+    form: {
+      handler: RestStepsConfig.#onSubmit,
+      closeOnSubmit: true
+    },
+    actions: {
+      addRow: RestStepsConfig.#onAddRow,
+      removeRow: RestStepsConfig.#onRemoveRow,
+      reset: RestStepsConfig.#onReset
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/hit-dice-healing/templates/rest-steps-config.hbs'
+    }
+  };
+
+  constructor(options) {
+    super(options);
+    // Working copy of the steps, so added/removed rows survive re-renders
+    this._rows = foundry.utils.deepClone(RestStepManager.getConfiguredSteps());
+  }
+
+  /**
+   * Prepare context data for the template
+   */
+  async _prepareContext() {
+    return {
+      rows: this._rows.map(row => ({
+        ...row,
+        isCondition: row.type === 'condition',
+        long: row.restTypes?.includes('long'),
+        full: row.restTypes?.includes('full')
+      })),
+      registered: RestStepManager.getRegisteredSteps().map(step => step.label ?? step.id),
+      typeChoices: {
+        condition: 'HIT_DICE_HEALING.StepTypeCondition',
+        resource: 'HIT_DICE_HEALING.StepTypeResource'
+      },
+      conditionChoices: CONFIG.PF2E?.conditionTypes ?? {},
+      actionChoices: RestStepManager.CONDITION_ACTIONS,
+      resourceChoices: RestStepManager.RESOURCES
+    };
+  }
+
+  /**
+   * Re-render when a row's type changes, to show the matching fields
+   */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    for (const select of this.element.querySelectorAll('select.step-type')) {
+      select.addEventListener('change', () => {
+        this._rows = this.#readRows();
+        this.render();
+      });
+    }
+  }
+
+  /**
+   * Read the current rows back from the form, keeping unsaved edits
+   * @returns {Object[]} Step definitions
+   */
+  #readRows() {
+    const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+    return Object.values(data.rows ?? {}).map(row => {
+      const restTypes = ['long', 'full'].filter(type => row[type]);
+      const id = row.id || foundry.utils.randomID();
+      if (row.type === 'resource') {
+        return { id, type: 'resource', resource: row.resource || 'wands', restTypes };
+      }
+      return {
+        id,
+        type: 'condition',
+        condition: row.condition || 'fatigued',
+        action: row.action || 'remove',
+        amount: Math.max(1, Math.floor(Number(row.amount) || 1)),
+        restTypes
+      };
+    });
+  }
+
+  /**
+   * Handle add row button click
+   */
+  static #onAddRow(event, target) {
+    this._rows = this.#readRows();
+    this._rows.push({
+      id: foundry.utils.randomID(),
+      type: 'condition',
+      condition: 'clumsy',
+      action: 'reduce',
+      amount: 1,
+      restTypes: ['long']
+    });
+    this.render();
+  }
+
+  /**
+   * Handle remove row button click
+   */
+  static #onRemoveRow(event, target) {
+    const index = parseInt(target.dataset.index, 10);
+    this._rows = this.#readRows();
+    this._rows.splice(index, 1);
+    this.render();
+  }
+
+  /**
+   * Restore the built-in steps
+   */
+  static #onReset(event, target) {
+    this._rows = foundry.utils.deepClone(RestStepManager.DEFAULT_STEPS);
+    this.render();
+  }
+
+  /**
+   * Handle form submission
+   */
+  static async #onSubmit(event, form, formData) {
+    await game.settings.set(MODULE_ID, 'restSteps', this.#readRows());
+  }
+}
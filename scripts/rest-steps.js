@@ -0,0 +1,326 @@
+/**
+ * Hit Dice Healing - Rest Steps
+ * Data-driven recovery rules applied by Long (and optionally Full) rests.
+ *
+ * A step is a plain object:
+ *   { id, type: 'condition', condition: 'fatigued', action: 'remove'|'reduce'|'removeIfFullHP', amount: 1, restTypes: ['long'] }
+ *   { id, type: 'resource', resource: 'wands'|'frequencies'|'reagents'|'dailyCrafting'|'temporaryItems', restTypes: ['long'] }
+ * Modules may also register custom steps with their own handlers:
+ *   { id, type: 'custom', restTypes, plan(actor, restType) => { lines: string[] } | null, apply(actor, context) }
+ */
+
+import { MODULE_ID } from './constants.js';
+
+export class RestStepManager {
+
+  /**
+   * The built-in steps (the module's original Long Rest rules)
+   */
+  static DEFAULT_STEPS = [
+    { id: 'fatigued', type: 'condition', condition: 'fatigued', action: 'remove', amount: 1, restTypes: ['long'] },
+    { id: 'doomed', type: 'condition', condition: 'doomed', action: 'reduce', amount: 1, restTypes: ['long'] },
+    { id: 'drained', type: 'condition', condition: 'drained', action: 'reduce', amount: 1, restTypes: ['long'] },
+    { id: 'wounded', type: 'condition', condition: 'wounded', action: 'removeIfFullHP', amount: 1, restTypes: ['long'] },
+    { id: 'wands', type: 'resource', resource: 'wands', restTypes: ['long'] },
+    { id: 'frequencies', type: 'resource', resource: 'frequencies', restTypes: ['long'] },
+    { id: 'reagents', type: 'resource', resource: 'reagents', restTypes: ['long'] },
+    { id: 'dailyCrafting', type: 'resource', resource: 'dailyCrafting', restTypes: ['long'] },
+    { id: 'temporaryItems', type: 'resource', resource: 'temporaryItems', restTypes: ['long'] }
+  ];
+
+  /**
+   * Condition step actions
+   */
+  static CONDITION_ACTIONS = {
+    remove: 'HIT_DICE_HEALING.StepActionRemove',
+    reduce: 'HIT_DICE_HEALING.StepActionReduce',
+    removeIfFullHP: 'HIT_DICE_HEALING.StepActionRemoveIfFullHP'
+  };
+
+  /**
+   * Daily resources a resource step can refresh
+   */
+  static RESOURCES = {
+    wands: 'HIT_DICE_HEALING.StepResourceWands',
+    frequencies: 'HIT_DICE_HEALING.StepResourceFrequencies',
+    reagents: 'HIT_DICE_HEALING.StepResourceReagents',
+    dailyCrafting: 'HIT_DICE_HEALING.StepResourceDailyCrafting',
+    temporaryItems: 'HIT_DICE_HEALING.StepResourceTemporaryItems'
+  };
+
+  /**
+   * Steps registered by other modules (not saved in the world)
+   * @type {Object[]}
+   */
+  static #registered = [];
+
+  /**
+   * Get the GM-configured steps
+   * @returns {Object[]}
+   */
+  static getConfiguredSteps() {
+    return game.settings.get(MODULE_ID, 'restSteps') ?? this.DEFAULT_STEPS;
+  }
+
+  /**
+   * Get the steps registered by other modules
+   * @returns {Object[]}
+   */
+  static getRegisteredSteps() {
+    return [...this.#registered];
+  }
+
+  /**
+   * Get every step that applies to a rest type, configured steps first
+   * @param {'long'|'full'} restType - The rest taken
+   * @returns {Object[]}
+   */
+  static getSteps(restType) {
+    return [...this.getConfiguredSteps(), ...this.#registered]
+      .filter(step => step.restTypes?.includes(restType));
+  }
+
+  /**
+   * Register a rest step from another module.
+   * A step with the same ID replaces the earlier registration.
+   * @param {Object} step - The step definition (see the file header)
+   * @returns {string} The step ID
+   */
+  static register(step) {
+    if (!step?.id || !['condition', 'resource', 'custom'].includes(step.type)) {
+      throw new Error('Hit Dice Healing | A rest step needs an id and a type of "condition", "resource" or "custom"');
+    }
+    if (step.type === 'custom' && typeof step.apply !== 'function') {
+      throw new Error(`Hit Dice Healing | Custom rest step "${step.id}" needs an apply function`);
+    }
+
+    this.#registered = this.#registered.filter(s => s.id !== step.id);
+    this.#registered.push({ restTypes: ['long'], amount: 1, ...step });
+    return step.id;
+  }
+
+  // ============================================================================
+  // Planning
+  // ============================================================================
+
+  /**
+   * Plan every applicable step for an actor without applying anything
+   * @param {Actor} actor - The PF2E character actor
+   * @param {'long'|'full'} restType - The rest taken
+   * @param {Object[]} [steps] - The step definitions (defaults to getSteps)
+   * @returns {Object[]} Planned changes, one per step that changes something
+   */
+  static plan(actor, restType, steps = this.getSteps(restType)) {
+    const planned = [];
+    for (const step of steps) {
+      let change = null;
+      try {
+        change = this.#planStep(actor, step, restType);
+      } catch (err) {
+        console.error(`Hit Dice Healing | Could not plan rest step "${step.id}"`, err);
+      }
+      if (change) planned.push({ step, ...change });
+    }
+    return planned;
+  }
+
+  /**
+   * Plan a single step
+   * @param {Actor} actor
+   * @param {Object} step
+   * @param {'long'|'full'} restType
+   * @returns {Object|null} The planned change, or null if nothing changes
+   */
+  static #planStep(actor, step, restType) {
+    if (step.type === 'custom') {
+      return step.plan ? step.plan(actor, restType) : { lines: [] };
+    }
+    if (step.type === 'condition') {
+      return this.#planCondition(actor, step);
+    }
+
+    switch (step.resource) {
+      case 'wands': {
+        const items = actor.items.filter(i => this.#isWand(i) && this.#canRefresh(i));
+        return items.length ? { items } : null;
+      }
+      case 'frequencies': {
+        const items = actor.items.filter(i =>
+          !this.#isWand(i) && i.system?.frequency?.per === 'day' && this.#canRefresh(i)
+        );
+        return items.length ? { items } : null;
+      }
+      case 'reagents': {
+        const reagents = actor.system.resources?.crafting?.infusedReagents;
+        return reagents && reagents.value < reagents.max ? { from: reagents.value, to: reagents.max } : null;
+      }
+      case 'dailyCrafting':
+        return actor.flags?.pf2e?.dailyCraftingComplete ? {} : null;
+      case 'temporaryItems': {
+        const items = actor.items.filter(i => i.system?.temporary === true);
+        return items.length ? { items } : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Plan a condition step
+   * @param {Actor} actor
+   * @param {Object} step
+   * @returns {{label: string, change: 'remove'|'reduce'|'keep', from?: number, to?: number}|null}
+   */
+  static #planCondition(actor, step) {
+    const condition = actor.getCondition(step.condition);
+    if (!condition) return null;
+
+    const label = condition.name;
+    const amount = Math.max(1, step.amount ?? 1);
+
+    if (step.action === 'removeIfFullHP') {
+      const hp = actor.system.attributes.hp;
+      return { label, change: hp.value >= hp.max ? 'remove' : 'keep' };
+    }
+    if (step.action === 'reduce' && condition.value > amount) {
+      return { label, change: 'reduce', from: condition.value, to: condition.value - amount };
+    }
+    return { label, change: 'remove' };
+  }
+
+  /**
+   * @param {Item} item
+   * @returns {boolean} True if the item is a wand
+   */
+  static #isWand(item) {
+    return item.type === 'consumable' && item.system?.consumableType?.value === 'wand';
+  }
+
+  /**
+   * @param {Item} item
+   * @returns {boolean} True if the item has spent frequency uses
+   */
+  static #canRefresh(item) {
+    const frequency = item.system?.frequency;
+    return !!frequency && frequency.value < frequency.max;
+  }
+
+  // ============================================================================
+  // Applying
+  // ============================================================================
+
+  /**
+   * Apply planned steps to an actor
+   * @param {Actor} actor - The PF2E character actor
+   * @param {Object[]} planned - Planned changes (see plan)
+   * @param {Object} context
+   * @param {'long'|'full'} context.restType - The rest taken
+   * @param {string[]} context.messages - Array to push status messages into
+   * @param {Object} context.updates - Batched actor updates
+   */
+  static async apply(actor, planned, { restType, messages, updates }) {
+    let refreshed = false;
+
+    for (const change of planned) {
+      const { step } = change;
+      try {
+        if (step.type === 'custom') {
+          await step.apply(actor, { restType, messages, updates, planned: change });
+        } else if (step.type === 'condition') {
+          await this.#applyCondition(actor, change, messages);
+        } else {
+          refreshed = await this.#applyResource(actor, change, messages, updates) || refreshed;
+        }
+      } catch (err) {
+        console.error(`Hit Dice Healing | Could not apply rest step "${step.id}"`, err);
+      }
+    }
+
+    if (refreshed) {
+      messages.push(game.i18n.localize('HIT_DICE_HEALING.DailyResourcesReset'));
+    }
+  }
+
+  /**
+   * Apply a planned condition change
+   * @param {Actor} actor
+   * @param {Object} change
+   * @param {string[]} messages
+   */
+  static async #applyCondition(actor, { step, label, change, from, to }, messages) {
+    if (change === 'remove') {
+      await actor.decreaseCondition(step.condition, { forceRemove: true });
+      messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionRemoved', { condition: label }));
+    } else if (change === 'reduce') {
+      for (let value = from; value > to; value--) {
+        await actor.decreaseCondition(step.condition);
+      }
+      messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionReduced', { condition: label }));
+    } else {
+      messages.push(game.i18n.format('HIT_DICE_HEALING.ConditionPersists', { condition: label }));
+    }
+  }
+
+  /**
+   * Apply a planned resource refresh
+   * @param {Actor} actor
+   * @param {Object} change
+   * @param {string[]} messages
+   * @param {Object} updates
+   * @returns {Promise<boolean>} True if daily uses were refreshed
+   */
+  static async #applyResource(actor, { step, items, to }, messages, updates) {
+    switch (step.resource) {
+      case 'wands':
+      case 'frequencies':
+        for (const item of items) {
+          await item.update({ 'system.frequency.value': item.system.frequency.max }, { render: false });
+        }
+        return true;
+      case 'reagents':
+        updates['system.resources.crafting.infusedReagents.value'] = to;
+        messages.push(game.i18n.localize('HIT_DICE_HEALING.InfusedReagentsRestored'));
+        break;
+      case 'dailyCrafting':
+        await actor.setFlag('pf2e', 'dailyCraftingComplete', false);
+        break;
+      case 'temporaryItems':
+        await actor.deleteEmbeddedDocuments('Item', items.map(i => i.id), { render: false });
+        messages.push(game.i18n.localize('HIT_DICE_HEALING.TemporaryItemsExpired'));
+        break;
+    }
+    return false;
+  }
+
+  // ============================================================================
+  // Preview
+  // ============================================================================
+
+  /**
+   * Describe planned steps as localized preview lines
+   * @param {Object[]} planned - Planned changes (see plan)
+   * @returns {string[]}
+   */
+  static describe(planned) {
+    const i18n = (key, data) => game.i18n.format(`HIT_DICE_HEALING.${key}`, data);
+    const names = (items) => items.map(i => i.name).join(', ');
+    const lines = [];
+
+    for (const change of planned) {
+      const { step } = change;
+      if (step.type === 'custom') {
+        lines.push(...(change.lines ?? []));
+      } else if (step.type === 'condition') {
+        if (change.change === 'remove') lines.push(i18n('ConditionRemoved', { condition: change.label }));
+        else if (change.change === 'reduce') lines.push(i18n('PreviewConditionReduced', { condition: change.label, from: change.from, to: change.to }));
+        else lines.push(i18n('ConditionPersists', { condition: change.label }));
+      } else if (step.resource === 'reagents') {
+        lines.push(i18n('PreviewReagents', { from: change.from, to: change.to }));
+      } else if (step.resource === 'temporaryItems') {
+        lines.push(i18n('PreviewExpire', { items: names(change.items) }));
+      } else if (change.items) {
+        lines.push(i18n('PreviewRefreshed', { items: names(change.items) }));
+      }
+    }
+    return lines;
+  }
+}
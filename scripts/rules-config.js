@@ -0,0 +1,148 @@
+/**
+ * Hit Dice Healing - Rules Configuration
+ * ApplicationV2 form where the GM adjusts the Hit Dice house rules
+ */
+
+import { MODULE_ID } from './constants.js';
+import { RECOVERY_MODES, RULE_DEFAULTS } from './settings.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class HitDiceRulesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: 'hit-dice-rules-config',
+    classes: ['hit-dice-healing', 'hit-dice-config'],
+    tag: 'form',
+    window: {
+      title: 'HIT_DICE_HEALING.RulesConfigName',
+      icon: 'fas fa-dice-d6',
+      resizable: false
+    },
+    position: {
+      width: 480,
+      height: 'auto'
+    },
+    form: {
+      handler: HitDiceRulesConfig.#onSubmit,
+      closeOnSubmit: false
+    },
+    actions: {
+      reset: HitDiceRulesConfig.#onReset
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/hit-dice-healing/templates/rules-config.hbs'
+    }
+  };
+
+  /**
+   * Prepare context data for the template
+   */
+  async _prepareContext() {
+    const attributes = { none: game.i18n.localize('HIT_DICE_HEALING.AttributeNone') };
+    for (const [key, label] of Object.entries(CONFIG.PF2E?.abilities ?? {})) {
+      attributes[key] = game.i18n.localize(label);
+    }
+
+    return {
+      maxHitDiceFormula: game.settings.get(MODULE_ID, 'maxHitDiceFormula'),
+      minimumPerDie: game.settings.get(MODULE_ID, 'minimumPerDie'),
+      bonusAttribute: game.settings.get(MODULE_ID, 'bonusAttribute'),
+      slotCostFormula: game.settings.get(MODULE_ID, 'slotCostFormula'),
+      focusCostFormula: game.settings.get(MODULE_ID, 'focusCostFormula'),
+      wandCostFormula: game.settings.get(MODULE_ID, 'wandCostFormula'),
+      staffCostFormula: game.settings.get(MODULE_ID, 'staffCostFormula'),
+      multiclassPool: game.settings.get(MODULE_ID, 'multiclassPool'),
+      dedicationDice: game.settings.get(MODULE_ID, 'dedicationDice'),
+      dedicationLevels: game.settings.get(MODULE_ID, 'dedicationLevels'),
+      recoveryMode: game.settings.get(MODULE_ID, 'recoveryMode'),
+      recoveryFormula: game.settings.get(MODULE_ID, 'recoveryFormula'),
+      longRestRecovery: game.settings.get(MODULE_ID, 'longRestRecovery'),
+      fullRestRecovery: game.settings.get(MODULE_ID, 'fullRestRecovery'),
+      attributes,
+      recoveryModes: RECOVERY_MODES,
+      restRecoveryModes: { default: 'HIT_DICE_HEALING.RecoveryDefault', ...RECOVERY_MODES }
+    };
+  }
+
+  /**
+   * Check that a formula evaluates to a number with sample data
+   * @param {string} formula - The formula to test
+   * @param {Object} data - Sample @-reference values
+   * @returns {boolean} True if the formula is usable
+   */
+  static #isValidFormula(formula, data) {
+    try {
+      const value = Roll.safeEval(Roll.replaceFormulaData(formula, data, { missing: '0' }));
+      return Number.isFinite(value);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Handle form submission
+   */
+  static async #onSubmit(event, form, formData) {
+    const data = formData.object;
+    const maxHitDiceFormula = String(data.maxHitDiceFormula ?? '').trim() || RULE_DEFAULTS.maxHitDiceFormula;
+    const slotCostFormula = String(data.slotCostFormula ?? '').trim() || RULE_DEFAULTS.slotCostFormula;
+    const recoveryFormula = String(data.recoveryFormula ?? '').trim() || RULE_DEFAULTS.recoveryFormula;
+    const resourceFormulas = {};
+    for (const key of ['focusCostFormula', 'wandCostFormula', 'staffCostFormula']) {
+      resourceFormulas[key] = String(data[key] ?? '').trim() || RULE_DEFAULTS[key];
+    }
+
+    if (!HitDiceRulesConfig.#isValidFormula(maxHitDiceFormula, { level: 1 })) {
+      ui.notifications.error(game.i18n.format('HIT_DICE_HEALING.InvalidFormula', { formula: maxHitDiceFormula }));
+      return;
+    }
+    if (!HitDiceRulesConfig.#isValidFormula(slotCostFormula, { level: 1, rank: 1 })) {
+      ui.notifications.error(game.i18n.format('HIT_DICE_HEALING.InvalidFormula', { formula: slotCostFormula }));
+      return;
+    }
+    if (!HitDiceRulesConfig.#isValidFormula(recoveryFormula, { level: 1, max: 2 })) {
+      ui.notifications.error(game.i18n.format('HIT_DICE_HEALING.InvalidFormula', { formula: recoveryFormula }));
+      return;
+    }
+    for (const formula of Object.values(resourceFormulas)) {
+      if (!HitDiceRulesConfig.#isValidFormula(formula, { level: 1, rank: 1 })) {
+        ui.notifications.error(game.i18n.format('HIT_DICE_HEALING.InvalidFormula', { formula }));
+        return;
+      }
+    }
+
+    const minimumPerDie = Math.max(0, Math.floor(Number(data.minimumPerDie) || 0));
+    const dedicationDice = Math.max(0, Math.floor(Number(data.dedicationDice) || 0));
+    const dedicationLevels = Math.max(0, Math.floor(Number(data.dedicationLevels) || 0));
+
+    await game.settings.set(MODULE_ID, 'maxHitDiceFormula', maxHitDiceFormula);
+    await game.settings.set(MODULE_ID, 'minimumPerDie', minimumPerDie);
+    await game.settings.set(MODULE_ID, 'bonusAttribute', data.bonusAttribute || RULE_DEFAULTS.bonusAttribute);
+    await game.settings.set(MODULE_ID, 'slotCostFormula', slotCostFormula);
+    for (const [key, formula] of Object.entries(resourceFormulas)) {
+      await game.settings.set(MODULE_ID, key, formula);
+    }
+    await game.settings.set(MODULE_ID, 'multiclassPool', !!data.multiclassPool);
+    await game.settings.set(MODULE_ID, 'dedicationDice', dedicationDice);
+    await game.settings.set(MODULE_ID, 'dedicationLevels', dedicationLevels);
+    await game.settings.set(MODULE_ID, 'recoveryMode', data.recoveryMode || RULE_DEFAULTS.recoveryMode);
+    await game.settings.set(MODULE_ID, 'recoveryFormula', recoveryFormula);
+    await game.settings.set(MODULE_ID, 'longRestRecovery', data.longRestRecovery || RULE_DEFAULTS.longRestRecovery);
+    await game.settings.set(MODULE_ID, 'fullRestRecovery', data.fullRestRecovery || RULE_DEFAULTS.fullRestRecovery);
+    this.close();
+  }
+
+  /**
+   * Restore the default rules
+   */
+  static async #onReset(event, target) {
+    for (const [key, value] of Object.entries(RULE_DEFAULTS)) {
+      await game.settings.set(MODULE_ID, key, value);
+    }
+    this.render();
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Hit Dice Healing - Safe Rest Area
+ * Region behavior marking an area of a scene as safe for a Full Rest
+ */
+
+import { MODULE_ID } from './constants.js';
+
+export class SafeRestRegionBehavior extends foundry.data.regionBehaviors.RegionBehaviorType {
+
+  static TYPE = `${MODULE_ID}.safeRest`;
+
+  static defineSchema() {
+    return {};
+  }
+
+  /**
+   * Register the behavior type (called on init)
+   */
+  static register() {
+    CONFIG.RegionBehavior.dataModels[this.TYPE] = this;
+    CONFIG.RegionBehavior.typeIcons[this.TYPE] = 'fas fa-campground';
+  }
+
+  /**
+   * Check if a token stands inside an enabled Safe Rest Area
+   * @param {TokenDocument} token - The token document
+   * @returns {boolean}
+   */
+  static contains(token) {
+    for (const region of token.regions ?? []) {
+      if (region.behaviors.some(b => b.type === this.TYPE && !b.disabled)) return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * Hit Dice Healing - Settings
+ * Registers the world settings and the GM configuration menus
+ */
+
+import { MODULE_ID } from './constants.js';
+import { ClassDieTypesConfig } from './class-die-config.js';
+import { HitDiceManager } from './hit-dice-manager.js';
+import { RestStepManager } from './rest-steps.js';
+import { RestStepsConfig } from './rest-steps-config.js';
+import { HitDiceRulesConfig } from './rules-config.js';
+
+/**
+ * Default values for the house-rule settings.
+ * Formulas may reference @level (character level), for slot costs @rank,
+ * and for rest recovery @max (maximum Hit Dice).
+ */
+export const RULE_DEFAULTS = {
+  maxHitDiceFormula: '@level + 1',
+  minimumPerDie: 1,
+  bonusAttribute: 'con',
+  slotCostFormula: '@rank',
+  focusCostFormula: '2',
+  wandCostFormula: '@rank',
+  staffCostFormula: '1',
+  multiclassPool: false,
+  dedicationDice: 1,
+  dedicationLevels: 0,
+  recoveryMode: 'full',
+  recoveryFormula: 'max(1, floor(@max / 2))',
+  longRestRecovery: 'default',
+  fullRestRecovery: 'default'
+};
+
+/**
+ * Hit Dice recovery modes for rests ("default" on a rest type uses the world mode)
+ */
+export const RECOVERY_MODES = {
+  full: 'HIT_DICE_HEALING.RecoveryFull',
+  half: 'HIT_DICE_HEALING.RecoveryHalf',
+  formula: 'HIT_DICE_HEALING.RecoveryFormula'
+};
+
+/**
+ * Register all module settings and menus (called on init)
+ */
+export function registerSettings() {
+  game.settings.registerMenu(MODULE_ID, 'rulesConfig', {
+    name: 'HIT_DICE_HEALING.RulesConfigName',
+    label: 'HIT_DICE_HEALING.RulesConfigLabel',
+    hint: 'HIT_DICE_HEALING.RulesConfigHint',
+    icon: 'fas fa-dice-d6',
+    type: HitDiceRulesConfig,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'classDieConfig', {
+    name: 'HIT_DICE_HEALING.ClassDieConfigName',
+    label: 'HIT_DICE_HEALING.ClassDieConfigLabel',
+    hint: 'HIT_DICE_HEALING.ClassDieConfigHint',
+    icon: 'fas fa-dice-d10',
+    type: ClassDieTypesConfig,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'restStepsConfig', {
+    name: 'HIT_DICE_HEALING.RestStepsConfigName',
+    label: 'HIT_DICE_HEALING.RestStepsConfigLabel',
+    hint: 'HIT_DICE_HEALING.RestStepsConfigHint',
+    icon: 'fas fa-list-check',
+    type: RestStepsConfig,
+    restricted: true
+  });
+
+  game.settings.register(MODULE_ID, 'maxHitDiceFormula', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: RULE_DEFAULTS.maxHitDiceFormula
+  });
+
+  game.settings.register(MODULE_ID, 'minimumPerDie', {
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: RULE_DEFAULTS.minimumPerDie
+  });
+
+  game.settings.register(MODULE_ID, 'bonusAttribute', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: RULE_DEFAULTS.bonusAttribute
+  });
+
+  game.settings.register(MODULE_ID, 'slotCostFormula', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: RULE_DEFAULTS.slotCostFormula
+  });
+
+  for (const key of ['focusCostFormula', 'wandCostFormula', 'staffCostFormula']) {
+    game.settings.register(MODULE_ID, key, {
+      scope: 'world',
+      config: false,
+      type: String,
+      default: RULE_DEFAULTS[key]
+    });
+  }
+
+  game.settings.register(MODULE_ID, 'multiclassPool', {
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: RULE_DEFAULTS.multiclassPool
+  });
+
+  game.settings.register(MODULE_ID, 'dedicationDice', {
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: RULE_DEFAULTS.dedicationDice
+  });
+
+  game.settings.register(MODULE_ID, 'dedicationLevels', {
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: RULE_DEFAULTS.dedicationLevels
+  });
+
+  game.settings.register(MODULE_ID, 'recoveryMode', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: RULE_DEFAULTS.recoveryMode
+  });
+
+  game.settings.register(MODULE_ID, 'recoveryFormula', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: RULE_DEFAULTS.recoveryFormula
+  });
+
+  game.settings.register(MODULE_ID, 'longRestRecovery', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: RULE_DEFAULTS.longRestRecovery
+  });
+
+  game.settings.register(MODULE_ID, 'fullRestRecovery', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: RULE_DEFAULTS.fullRestRecovery
+  });
+
+  game.settings.register(MODULE_ID, 'revertWindow', {
+    name: 'HIT_DICE_HEALING.RevertWindowName',
+    hint: 'HIT_DICE_HEALING.RevertWindowHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 5
+  });
+
+  game.settings.register(MODULE_ID, 'restApproval', {
+    name: 'HIT_DICE_HEALING.RestApprovalName',
+    hint: 'HIT_DICE_HEALING.RestApprovalHint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, 'combatRestriction', {
+    name: 'HIT_DICE_HEALING.CombatRestrictionName',
+    hint: 'HIT_DICE_HEALING.CombatRestrictionHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      block: 'HIT_DICE_HEALING.CombatRestrictionBlock',
+      paused: 'HIT_DICE_HEALING.CombatRestrictionPaused',
+      gmConfirm: 'HIT_DICE_HEALING.CombatRestrictionGmConfirm',
+      allow: 'HIT_DICE_HEALING.CombatRestrictionAllow'
+    },
+    default: 'block'
+  });
+
+  game.settings.register(MODULE_ID, 'fullRestLocation', {
+    name: 'HIT_DICE_HEALING.FullRestLocationName',
+    hint: 'HIT_DICE_HEALING.FullRestLocationHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      off: 'HIT_DICE_HEALING.FullRestLocationOff',
+      warn: 'HIT_DICE_HEALING.FullRestLocationWarn',
+      block: 'HIT_DICE_HEALING.FullRestLocationBlock'
+    },
+    default: 'warn'
+  });
+
+  game.settings.register(MODULE_ID, 'encounterCheck', {
+    name: 'HIT_DICE_HEALING.EncounterCheckName',
+    hint: 'HIT_DICE_HEALING.EncounterCheckHint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, 'encounterDC', {
+    name: 'HIT_DICE_HEALING.EncounterDCName',
+    hint: 'HIT_DICE_HEALING.EncounterDCHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 1, max: 21, step: 1 },
+    default: 17
+  });
+
+  game.settings.register(MODULE_ID, 'encounterTable', {
+    name: 'HIT_DICE_HEALING.EncounterTableName',
+    hint: 'HIT_DICE_HEALING.EncounterTableHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'encounterInterrupt', {
+    name: 'HIT_DICE_HEALING.EncounterInterruptName',
+    hint: 'HIT_DICE_HEALING.EncounterInterruptHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      ask: 'HIT_DICE_HEALING.EncounterInterruptAsk',
+      always: 'HIT_DICE_HEALING.EncounterInterruptAlways',
+      never: 'HIT_DICE_HEALING.EncounterInterruptNever'
+    },
+    default: 'ask'
+  });
+
+  game.settings.register(MODULE_ID, 'interruptedRecovery', {
+    name: 'HIT_DICE_HEALING.InterruptedRecoveryName',
+    hint: 'HIT_DICE_HEALING.InterruptedRecoveryHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      half: 'HIT_DICE_HEALING.InterruptedRecoveryHalf',
+      none: 'HIT_DICE_HEALING.InterruptedRecoveryNone'
+    },
+    default: 'half'
+  });
+
+  game.settings.register(MODULE_ID, 'levelChangePolicy', {
+    name: 'HIT_DICE_HEALING.LevelChangePolicyName',
+    hint: 'HIT_DICE_HEALING.LevelChangePolicyHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      gain: 'HIT_DICE_HEALING.LevelChangeGain',
+      longRest: 'HIT_DICE_HEALING.LevelChangeLongRest',
+      keepSpent: 'HIT_DICE_HEALING.LevelChangeKeepSpent'
+    },
+    default: 'gain'
+  });
+
+  game.settings.register(MODULE_ID, 'advanceTime', {
+    name: 'HIT_DICE_HEALING.AdvanceTimeName',
+    hint: 'HIT_DICE_HEALING.AdvanceTimeHint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'shortRestMinutes', {
+    name: 'HIT_DICE_HEALING.ShortRestMinutesName',
+    hint: 'HIT_DICE_HEALING.ShortRestMinutesHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 10
+  });
+
+  game.settings.register(MODULE_ID, 'longRestMinutes', {
+    name: 'HIT_DICE_HEALING.LongRestMinutesName',
+    hint: 'HIT_DICE_HEALING.LongRestMinutesHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 480
+  });
+
+  game.settings.register(MODULE_ID, 'fullRestMinutes', {
+    name: 'HIT_DICE_HEALING.FullRestMinutesName',
+    hint: 'HIT_DICE_HEALING.FullRestMinutesHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 1440
+  });
+
+  game.settings.register(MODULE_ID, 'longRestCooldown', {
+    name: 'HIT_DICE_HEALING.LongRestCooldownName',
+    hint: 'HIT_DICE_HEALING.LongRestCooldownHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0
+  });
+
+  game.settings.register(MODULE_ID, 'fullRestCooldown', {
+    name: 'HIT_DICE_HEALING.FullRestCooldownName',
+    hint: 'HIT_DICE_HEALING.FullRestCooldownHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0
+  });
+
+  game.settings.register(MODULE_ID, 'ledgerSize', {
+    name: 'HIT_DICE_HEALING.LedgerSizeName',
+    hint: 'HIT_DICE_HEALING.LedgerSizeHint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 100
+  });
+
+  game.settings.register(MODULE_ID, 'classDieTypes', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { ...HitDiceManager.CLASS_DIE_TYPES }
+  });
+
+  game.settings.register(MODULE_ID, 'schemaVersion', {
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: 0
+  });
+
+  game.settings.register(MODULE_ID, 'restSteps', {
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: foundry.utils.deepClone(RestStepManager.DEFAULT_STEPS)
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * Hit Dice Healing - Socket Handler
+ * Routes module messages between clients over the module socket
+ */
+
+import { MODULE_ID } from './constants.js';
+
+export class SocketHandler {
+
+  static SOCKET_NAME = `module.${MODULE_ID}`;
+
+  /**
+   * How long a request waits for the GM's answer (ms); requests often wait on a GM prompt
+   */
+  static REQUEST_TIMEOUT = 5 * 60 * 1000;
+
+  /**
+   * Registered message handlers by type
+   * @type {Object<string, Function>}
+   */
+  static #handlers = {};
+
+  /**
+   * Resolvers for requests awaiting a response, by request ID
+   * @type {Map<string, Function>}
+   */
+  static #pending = new Map();
+
+  /**
+   * Start listening on the module socket (called on ready)
+   */
+  static initialize() {
+    game.socket.on(this.SOCKET_NAME, (message) => this.#onMessage(message));
+  }
+
+  /**
+   * Register a handler for a message type
+   * @param {string} type - The message type
+   * @param {Function} handler - Called with (payload, senderId)
+   */
+  static register(type, handler) {
+    this.#handlers[type] = handler;
+  }
+
+  /**
+   * Send a message to all other clients
+   * @param {string} type - The message type
+   * @param {Object} payload - Message data
+   */
+  static emit(type, payload = {}) {
+    game.socket.emit(this.SOCKET_NAME, { type, payload, senderId: game.user.id });
+  }
+
+  /**
+   * Send a request to the active GM and wait for the handler's result
+   * @param {string} type - The message type
+   * @param {Object} payload - Message data
+   * @returns {Promise<*>} The GM handler's return value, or null if no GM is connected,
+   *   the GM's handler failed or no answer arrived in time
+   */
+  static request(type, payload = {}) {
+    const gm = game.users.activeGM;
+    if (!gm) {
+      ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.NoActiveGM'));
+      return Promise.resolve(null);
+    }
+
+    const requestId = foundry.utils.randomID();
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        if (!this.#pending.delete(requestId)) return;
+        ui.notifications.warn(game.i18n.localize('HIT_DICE_HEALING.RequestTimedOut'));
+        resolve(null);
+      }, this.REQUEST_TIMEOUT);
+
+      this.#pending.set(requestId, ({ result, error }) => {
+        clearTimeout(timeout);
+        if (error) ui.notifications.error(game.i18n.localize('HIT_DICE_HEALING.RequestFailed'));
+        resolve(error ? null : result);
+      });
+      game.socket.emit(this.SOCKET_NAME, {
+        type,
+        payload,
+        senderId: game.user.id,
+        recipientId: gm.id,
+        requestId
+      });
+    });
+  }
+
+  /**
+   * Dispatch an incoming message to its handler, answering requests
+   * @param {{type: string, payload: Object, senderId: string, recipientId?: string, requestId?: string}} message
+   */
+  static async #onMessage({ type, payload, senderId, recipientId, requestId }) {
+    if (recipientId && recipientId !== game.user.id) return;
+
+    if (type === 'response') {
+      const resolve = this.#pending.get(requestId);
+      this.#pending.delete(requestId);
+      resolve?.(payload);
+      return;
+    }
+
+    // Always answer a request, so the requester is never left waiting
+    const handler = this.#handlers[type];
+    let response = { result: null, error: true };
+    if (!handler) {
+      console.warn(`Hit Dice Healing | Unhandled socket message "${type}"`);
+    } else {
+      try {
+        response = { result: (await handler(payload, senderId)) ?? null };
+      } catch (err) {
+        console.error(`Hit Dice Healing | Socket handler for "${type}" failed`, err);
+      }
+    }
+
+    if (requestId) {
+      game.socket.emit(this.SOCKET_NAME, {
+        type: 'response',
+        payload: response,
+        senderId: game.user.id,
+        recipientId: senderId,
+        requestId
+      });
+    }
+  }
+}